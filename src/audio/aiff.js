@@ -0,0 +1,114 @@
+/**
+ * AIFF Decoder
+ * Reads uncompressed AIFF and AIFF-C (NONE/sowt) audio, which most browsers
+ * cannot decode themselves, into floating point channel data
+ */
+
+const readFourCC = (view, offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+);
+
+/**
+ * Read the 80-bit IEEE 754 extended float AIFF uses for the sample rate
+ */
+const readExtended = (view, offset) => {
+    const exponent = view.getUint16(offset) & 0x7FFF;
+    const sign = view.getUint16(offset) & 0x8000 ? -1 : 1;
+    const high = view.getUint32(offset + 2);
+    const low = view.getUint32(offset + 6);
+    if (exponent === 0 && high === 0 && low === 0) {
+        return 0;
+    }
+    return sign * (high * Math.pow(2, exponent - 16383 - 31) + low * Math.pow(2, exponent - 16383 - 63));
+};
+
+export const isAiff = (buffer) => {
+    if (buffer.byteLength < 12) {
+        return false;
+    }
+    const view = new DataView(buffer);
+    const type = readFourCC(view, 8);
+    return readFourCC(view, 0) === 'FORM' && (type === 'AIFF' || type === 'AIFC');
+};
+
+/**
+ * Decode an AIFF file. Returns { sampleRate, channels: Float32Array[] }.
+ */
+export const decodeAiff = (buffer) => {
+    if (!isAiff(buffer)) {
+        throw new Error('Not an AIFF file');
+    }
+
+    const view = new DataView(buffer);
+    const isCompressed = readFourCC(view, 8) === 'AIFC';
+    let format = null;
+    let soundData = null;
+
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const id = readFourCC(view, offset);
+        const size = view.getUint32(offset + 4);
+        const dataStart = offset + 8;
+
+        if (id === 'COMM') {
+            format = {
+                channelCount: view.getInt16(dataStart),
+                frameCount: view.getUint32(dataStart + 2),
+                bitDepth: view.getInt16(dataStart + 6),
+                sampleRate: readExtended(view, dataStart + 8),
+                compression: isCompressed ? readFourCC(view, dataStart + 18) : 'NONE'
+            };
+        } else if (id === 'SSND') {
+            soundData = dataStart + 8 + view.getUint32(dataStart);
+        }
+        // Chunks are padded to an even length
+        offset = dataStart + size + (size & 1);
+    }
+
+    if (!format || soundData === null) {
+        throw new Error('AIFF file has no audio data');
+    }
+
+    const compression = format.compression.toLowerCase();
+    if (compression !== 'none' && compression !== 'sowt') {
+        throw new Error(`Unsupported AIFF-C compression: ${format.compression}`);
+    }
+    if (![8, 16, 24, 32].includes(format.bitDepth)) {
+        throw new Error(`Unsupported AIFF bit depth: ${format.bitDepth}`);
+    }
+
+    // 'sowt' is little-endian PCM; plain AIFF is big-endian
+    const littleEndian = compression === 'sowt';
+    const bytesPerSample = format.bitDepth / 8;
+    const frameSize = bytesPerSample * format.channelCount;
+    const frameCount = Math.min(format.frameCount, Math.floor((view.byteLength - soundData) / frameSize));
+    const scale = Math.pow(2, format.bitDepth - 1);
+
+    const readSample = (position) => {
+        switch (bytesPerSample) {
+            case 1:
+                return view.getInt8(position);
+            case 2:
+                return view.getInt16(position, littleEndian);
+            case 3: {
+                const bytes = littleEndian
+                    ? [view.getUint8(position + 2), view.getUint8(position + 1), view.getUint8(position)]
+                    : [view.getUint8(position), view.getUint8(position + 1), view.getUint8(position + 2)];
+                const value = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+                return value & 0x800000 ? value - 0x1000000 : value;
+            }
+            default:
+                return view.getInt32(position, littleEndian);
+        }
+    };
+
+    const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frameCount));
+    for (let frame = 0; frame < frameCount; frame++) {
+        const frameStart = soundData + frame * frameSize;
+        channels.forEach((channel, index) => {
+            channel[frame] = readSample(frameStart + index * bytesPerSample) / scale;
+        });
+    }
+
+    return { sampleRate: format.sampleRate, channels };
+};
@@ -0,0 +1,223 @@
+/**
+ * Drum Kit
+ * A General MIDI drum kit synthesized from Tone.js membrane, noise and metal
+ * synths, so percussion tracks sound like drums instead of pitched notes
+ */
+
+import * as Tone from 'tone';
+
+/**
+ * Voice recipes by GM percussion note (channel 10).
+ *
+ * membrane: pitched drum head (frequency in Hz, decay in seconds, octaves of pitch drop)
+ * snare: membrane body layered with filtered noise
+ * noise: filtered noise burst (shakers, claps, scrapes)
+ * metal: inharmonic FM cluster (hats, cymbals, bells)
+ * tone: plain sine blip (whistles, cuica)
+ */
+const GM_DRUM_VOICES = {
+    35: { type: 'membrane', frequency: 45, decay: 0.5, octaves: 6 },      // Acoustic Bass Drum
+    36: { type: 'membrane', frequency: 55, decay: 0.45, octaves: 6 },     // Bass Drum 1
+    37: { type: 'membrane', frequency: 900, decay: 0.05, octaves: 1.5 },  // Side Stick
+    38: { type: 'snare', frequency: 180, decay: 0.22 },                   // Acoustic Snare
+    39: { type: 'noise', noise: 'pink', filter: 'bandpass', cutoff: 1200, decay: 0.12 }, // Hand Clap
+    40: { type: 'snare', frequency: 220, decay: 0.16 },                   // Electric Snare
+    41: { type: 'membrane', frequency: 80, decay: 0.45, octaves: 2.5 },   // Low Floor Tom
+    42: { type: 'metal', frequency: 400, decay: 0.05, resonance: 5000 },  // Closed Hi-Hat
+    43: { type: 'membrane', frequency: 95, decay: 0.42, octaves: 2.5 },   // High Floor Tom
+    44: { type: 'metal', frequency: 400, decay: 0.08, resonance: 4500 },  // Pedal Hi-Hat
+    45: { type: 'membrane', frequency: 110, decay: 0.4, octaves: 2.5 },   // Low Tom
+    46: { type: 'metal', frequency: 400, decay: 0.5, resonance: 5000 },   // Open Hi-Hat
+    47: { type: 'membrane', frequency: 130, decay: 0.38, octaves: 2.5 },  // Low-Mid Tom
+    48: { type: 'membrane', frequency: 150, decay: 0.35, octaves: 2.5 },  // Hi-Mid Tom
+    49: { type: 'metal', frequency: 300, decay: 1.6, resonance: 4000 },   // Crash Cymbal 1
+    50: { type: 'membrane', frequency: 175, decay: 0.32, octaves: 2.5 },  // High Tom
+    51: { type: 'metal', frequency: 500, decay: 1.2, resonance: 7000, harmonicity: 3.1 }, // Ride Cymbal 1
+    52: { type: 'metal', frequency: 250, decay: 1.3, resonance: 3000 },   // Chinese Cymbal
+    53: { type: 'metal', frequency: 700, decay: 0.8, resonance: 3000, harmonicity: 3, modulationIndex: 12 }, // Ride Bell
+    54: { type: 'noise', noise: 'white', filter: 'highpass', cutoff: 7000, decay: 0.18 }, // Tambourine
+    55: { type: 'metal', frequency: 450, decay: 0.6, resonance: 5000 },   // Splash Cymbal
+    56: { type: 'metal', frequency: 540, decay: 0.3, resonance: 1500, harmonicity: 1.5, modulationIndex: 4, octaves: 0.5 }, // Cowbell
+    57: { type: 'metal', frequency: 320, decay: 1.6, resonance: 4200 },   // Crash Cymbal 2
+    58: { type: 'noise', noise: 'pink', filter: 'bandpass', cutoff: 2500, decay: 0.6 }, // Vibraslap
+    59: { type: 'metal', frequency: 520, decay: 1.2, resonance: 6500, harmonicity: 3.1 }, // Ride Cymbal 2
+    60: { type: 'membrane', frequency: 400, decay: 0.15, octaves: 1.5 },  // Hi Bongo
+    61: { type: 'membrane', frequency: 300, decay: 0.18, octaves: 1.5 },  // Low Bongo
+    62: { type: 'membrane', frequency: 330, decay: 0.08, octaves: 1.5 },  // Mute Hi Conga
+    63: { type: 'membrane', frequency: 330, decay: 0.25, octaves: 1.5 },  // Open Hi Conga
+    64: { type: 'membrane', frequency: 250, decay: 0.3, octaves: 1.5 },   // Low Conga
+    65: { type: 'membrane', frequency: 500, decay: 0.25, octaves: 1.2 },  // High Timbale
+    66: { type: 'membrane', frequency: 400, decay: 0.28, octaves: 1.2 },  // Low Timbale
+    67: { type: 'metal', frequency: 900, decay: 0.25, resonance: 2500, harmonicity: 1.2, modulationIndex: 3, octaves: 0.5 }, // High Agogo
+    68: { type: 'metal', frequency: 700, decay: 0.25, resonance: 2000, harmonicity: 1.2, modulationIndex: 3, octaves: 0.5 }, // Low Agogo
+    69: { type: 'noise', noise: 'white', filter: 'highpass', cutoff: 5000, decay: 0.08 }, // Cabasa
+    70: { type: 'noise', noise: 'white', filter: 'highpass', cutoff: 7000, decay: 0.06 }, // Maracas
+    71: { type: 'tone', frequency: 2400, decay: 0.15 },                   // Short Whistle
+    72: { type: 'tone', frequency: 2200, decay: 0.5 },                    // Long Whistle
+    73: { type: 'noise', noise: 'pink', filter: 'bandpass', cutoff: 3000, decay: 0.1 }, // Short Guiro
+    74: { type: 'noise', noise: 'pink', filter: 'bandpass', cutoff: 3000, decay: 0.3 }, // Long Guiro
+    75: { type: 'membrane', frequency: 2500, decay: 0.05, octaves: 1 },   // Claves
+    76: { type: 'membrane', frequency: 1600, decay: 0.06, octaves: 1 },   // Hi Wood Block
+    77: { type: 'membrane', frequency: 1200, decay: 0.07, octaves: 1 },   // Low Wood Block
+    78: { type: 'tone', frequency: 700, decay: 0.1 },                     // Mute Cuica
+    79: { type: 'tone', frequency: 500, decay: 0.3 },                     // Open Cuica
+    80: { type: 'metal', frequency: 2000, decay: 0.1, resonance: 8000, harmonicity: 1, modulationIndex: 2, octaves: 0.5 }, // Mute Triangle
+    81: { type: 'metal', frequency: 2000, decay: 1.2, resonance: 8000, harmonicity: 1, modulationIndex: 2, octaves: 0.5 }  // Open Triangle
+};
+
+// Notes outside the GM drum range get a short click so every hit is audible
+const FALLBACK_VOICE = { type: 'membrane', frequency: 1000, decay: 0.04, octaves: 1 };
+
+// Hitting a closed or muted sound cuts off its open counterpart
+const CHOKE_GROUPS = {
+    42: [46],
+    44: [46],
+    62: [63],
+    78: [79],
+    80: [81]
+};
+
+const envelope = (decay) => ({ attack: 0.001, decay, sustain: 0, release: Math.min(decay, 0.1) });
+
+/**
+ * Build the synth(s) for one voice recipe, connected to output.
+ * Returns { trigger(time, velocity), choke(time), dispose() }.
+ */
+const createVoice = (spec, output) => {
+    switch (spec.type) {
+        case 'snare': {
+            const body = new Tone.MembraneSynth({
+                pitchDecay: 0.02,
+                octaves: 2,
+                envelope: envelope(spec.decay * 0.6)
+            }).connect(output);
+            const filter = new Tone.Filter(1800, 'highpass').connect(output);
+            const snares = new Tone.NoiseSynth({ noise: { type: 'white' }, envelope: envelope(spec.decay) }).connect(filter);
+            return {
+                trigger: (time, velocity) => {
+                    body.triggerAttackRelease(spec.frequency, spec.decay, time, velocity * 0.7);
+                    snares.triggerAttackRelease(spec.decay, time, velocity);
+                },
+                choke: time => snares.triggerRelease(time),
+                dispose: () => [body, filter, snares].forEach(node => node.dispose())
+            };
+        }
+        case 'noise': {
+            const filter = new Tone.Filter(spec.cutoff, spec.filter).connect(output);
+            const synth = new Tone.NoiseSynth({ noise: { type: spec.noise }, envelope: envelope(spec.decay) }).connect(filter);
+            return {
+                trigger: (time, velocity) => synth.triggerAttackRelease(spec.decay, time, velocity),
+                choke: time => synth.triggerRelease(time),
+                dispose: () => [filter, synth].forEach(node => node.dispose())
+            };
+        }
+        case 'metal': {
+            const synth = new Tone.MetalSynth({
+                envelope: envelope(spec.decay),
+                harmonicity: spec.harmonicity || 5.1,
+                modulationIndex: spec.modulationIndex || 32,
+                resonance: spec.resonance,
+                octaves: spec.octaves || 1.5
+            }).connect(output);
+            synth.volume.value = -14;
+            return {
+                trigger: (time, velocity) => synth.triggerAttackRelease(spec.frequency, spec.decay, time, velocity),
+                choke: time => synth.triggerRelease(time),
+                dispose: () => synth.dispose()
+            };
+        }
+        case 'tone': {
+            const synth = new Tone.Synth({ oscillator: { type: 'sine' }, envelope: envelope(spec.decay) }).connect(output);
+            synth.volume.value = -10;
+            return {
+                trigger: (time, velocity) => synth.triggerAttackRelease(spec.frequency, spec.decay, time, velocity),
+                choke: time => synth.triggerRelease(time),
+                dispose: () => synth.dispose()
+            };
+        }
+        default: {
+            const synth = new Tone.MembraneSynth({
+                pitchDecay: 0.05,
+                octaves: spec.octaves,
+                envelope: envelope(spec.decay)
+            }).connect(output);
+            return {
+                trigger: (time, velocity) => synth.triggerAttackRelease(spec.frequency, spec.decay, time, velocity),
+                choke: time => synth.triggerRelease(time),
+                dispose: () => synth.dispose()
+            };
+        }
+    }
+};
+
+/**
+ * Plays MIDI note numbers as drum hits. Has the parts of the PolySynth
+ * interface the players use (triggerAttackRelease, releaseAll, volume,
+ * connect, toDestination, dispose), so it can stand in for one.
+ */
+export class DrumKit {
+    constructor(options = {}) {
+        this.output = new Tone.Volume(typeof options.volume === 'number' ? options.volume : 0);
+        this.volume = this.output.volume;
+        // One voice per note, built on first use, so simultaneous hits never share a synth
+        this.voices = new Map();
+        this.lastTimes = new Map();
+    }
+
+    static getVoiceSpec(midi) {
+        return GM_DRUM_VOICES[midi] || FALLBACK_VOICE;
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    toDestination() {
+        this.output.toDestination();
+        return this;
+    }
+
+    getVoice(midi) {
+        if (!this.voices.has(midi)) {
+            this.voices.set(midi, createVoice(DrumKit.getVoiceSpec(midi), this.output));
+        }
+        return this.voices.get(midi);
+    }
+
+    /**
+     * Hit the drum for a note (MIDI number or note name). Drum hits are
+     * one-shots, so the note duration is ignored.
+     */
+    triggerAttackRelease(note, duration, time, velocity = 1) {
+        const midi = typeof note === 'number' ? note : Tone.Frequency(note).toMidi();
+        const startTime = Tone.Time(time).toSeconds();
+
+        // A voice can't restart at the same instant (e.g. a doubled note)
+        if (this.lastTimes.has(midi) && startTime <= this.lastTimes.get(midi)) {
+            return this;
+        }
+        this.lastTimes.set(midi, startTime);
+
+        (CHOKE_GROUPS[midi] || []).forEach(choked => {
+            if (this.voices.has(choked)) {
+                this.voices.get(choked).choke(startTime);
+            }
+        });
+        this.getVoice(midi).trigger(startTime, velocity);
+        return this;
+    }
+
+    releaseAll(time) {
+        const releaseTime = time === undefined ? Tone.now() : time;
+        this.voices.forEach(voice => voice.choke(releaseTime));
+        return this;
+    }
+
+    dispose() {
+        this.voices.forEach(voice => voice.dispose());
+        this.voices.clear();
+        this.output.dispose();
+        return this;
+    }
+}
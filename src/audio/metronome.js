@@ -0,0 +1,60 @@
+/**
+ * Metronome
+ * Click track that follows the song's time signatures, with an accented
+ * click on every bar downbeat
+ */
+
+import * as Tone from 'tone';
+
+const ACCENT_CLICK = { note: 'C6', velocity: 1 };
+const BEAT_CLICK = { note: 'G5', velocity: 0.6 };
+const CLICK_LENGTH = 0.03;
+
+/**
+ * Clicks between startTicks (inclusive) and endTicks (exclusive) as
+ * { ticks, accent }, in time order. Downbeats are accented.
+ */
+export const getClickTicks = (timeSignatureMap, startTicks, endTicks) => {
+    const bars = timeSignatureMap.getBarLines(startTicks, endTicks)
+        .map(({ ticks }) => ({ ticks, accent: true }));
+    const beats = timeSignatureMap.getBeatLines(startTicks, endTicks)
+        .map(({ ticks }) => ({ ticks, accent: false }));
+    return [...bars, ...beats]
+        .filter(click => click.ticks < endTicks)
+        .sort((a, b) => a.ticks - b.ticks);
+};
+
+export class Metronome {
+    constructor(volume = -10) {
+        this.synth = new Tone.Synth({
+            oscillator: { type: 'square' },
+            envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 }
+        }).toDestination();
+        this.synth.volume.value = volume;
+    }
+
+    click(time, accent = false) {
+        const { note, velocity } = accent ? ACCENT_CLICK : BEAT_CLICK;
+        this.synth.triggerAttackRelease(note, CLICK_LENGTH, time, velocity);
+    }
+
+    /**
+     * Schedule the clicks for [startTicks, endTicks) on the transport.
+     * toTransportSeconds converts song ticks to transport time; clicks only
+     * sound while isEnabled() returns true, so the click can be switched
+     * on and off during playback.
+     */
+    schedule(timeSignatureMap, startTicks, endTicks, toTransportSeconds, isEnabled) {
+        getClickTicks(timeSignatureMap, startTicks, endTicks).forEach(({ ticks, accent }) => {
+            Tone.Transport.schedule(time => {
+                if (isEnabled()) {
+                    this.click(time, accent);
+                }
+            }, Math.max(0, toTransportSeconds(ticks)));
+        });
+    }
+
+    dispose() {
+        this.synth.dispose();
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Pad Kit
+ * A 16-pad kit of one-shot samples, each pad triggered by a MIDI note, and
+ * the sampler that plays tracks through it
+ */
+
+import * as Tone from 'tone';
+import { isAiff, decodeAiff } from './aiff.js';
+import { NoteMapper } from '../converter/note-map.js';
+
+export const PAD_COUNT = 16;
+
+// MPC default program: pad A01 plays note 37, as in the GM → MPC note map
+export const FIRST_PAD_NOTE = 37;
+
+export const SAMPLE_FILE_PATTERN = /\.(wav|wave|aif|aiff|aifc)$/i;
+
+/**
+ * A kit with no samples. Each pad: { note, fileName, data: ArrayBuffer, buffer: ToneAudioBuffer }.
+ */
+export const createEmptyKit = () => ({
+    name: '',
+    pads: Array.from({ length: PAD_COUNT }, (_, index) => ({
+        note: FIRST_PAD_NOTE + index,
+        fileName: null,
+        data: null,
+        buffer: null
+    }))
+});
+
+export const kitHasSamples = (kit) => Boolean(kit && kit.pads.some(pad => pad.buffer));
+
+/**
+ * Decode a WAV or AIFF file for playback. Browsers decode WAV; AIFF is read here.
+ */
+export const decodeSample = async (data) => {
+    const context = Tone.getContext();
+    if (isAiff(data)) {
+        const { sampleRate, channels } = decodeAiff(data);
+        const audioBuffer = context.createBuffer(channels.length, Math.max(1, channels[0].length), sampleRate);
+        channels.forEach((channel, index) => audioBuffer.copyToChannel(channel, index));
+        return new Tone.ToneAudioBuffer(audioBuffer);
+    }
+    // decodeAudioData takes ownership of its buffer; keep the original for saving the kit
+    return new Tone.ToneAudioBuffer(await context.decodeAudioData(data.slice(0)));
+};
+
+/**
+ * The storable part of a kit: pad notes and the original sample files
+ */
+export const toStoredKit = (kit) => ({
+    name: kit.name,
+    pads: kit.pads.map(({ note, fileName, data }) => ({ note, fileName, data }))
+});
+
+/**
+ * Rebuild a kit saved with toStoredKit, decoding its samples again
+ */
+export const restoreKit = async (stored) => {
+    const pads = await Promise.all(createEmptyKit().pads.map(async (pad, index) => {
+        const saved = stored.pads && stored.pads[index];
+        if (!saved) {
+            return pad;
+        }
+        return {
+            note: saved.note,
+            fileName: saved.fileName,
+            data: saved.data,
+            buffer: saved.data ? await decodeSample(saved.data) : null
+        };
+    }));
+    return { name: stored.name, pads };
+};
+
+/**
+ * Plays notes through the kit's pads like an MPC program: each pad is a
+ * mono one-shot that restarts when hit again, and notes without a pad are
+ * silent. noteMap (see note-map.js) maps the track's notes onto pad notes
+ * the same way the export does. Has the parts of the PolySynth interface
+ * the players use, so it can stand in for one.
+ */
+export class PadSampler {
+    constructor(kit, noteMap = null) {
+        this.output = new Tone.Volume(0);
+        this.volume = this.output.volume;
+        this.noteMap = noteMap;
+        this.players = new Map();
+        this.lastTimes = new Map();
+
+        // The first pad wins when several pads share a note
+        kit.pads.forEach(pad => {
+            if (pad.buffer && !this.players.has(pad.note)) {
+                this.players.set(pad.note, new Tone.Player(pad.buffer).connect(this.output));
+            }
+        });
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    toDestination() {
+        this.output.toDestination();
+        return this;
+    }
+
+    /**
+     * Hit the pad for a note (MIDI number or note name). One-shots play to
+     * the end of the sample, so the note duration is ignored.
+     */
+    triggerAttackRelease(note, duration, time, velocity = 1) {
+        const midi = typeof note === 'number' ? note : Tone.Frequency(note).toMidi();
+        const padNote = NoteMapper.mapNote(midi, this.noteMap);
+        const player = this.players.get(padNote);
+        if (!player) {
+            return this;
+        }
+
+        const startTime = Tone.Time(time).toSeconds();
+        // A pad can't restart at the same instant (e.g. two notes mapped to one pad)
+        if (this.lastTimes.has(padNote) && startTime <= this.lastTimes.get(padNote)) {
+            return this;
+        }
+        this.lastTimes.set(padNote, startTime);
+
+        player.volume.setValueAtTime(Tone.gainToDb(Math.max(velocity, 0.001)), startTime);
+        player.start(startTime);
+        return this;
+    }
+
+    releaseAll(time) {
+        const stopTime = time === undefined ? Tone.now() : Tone.Time(time).toSeconds();
+        this.players.forEach(player => player.stop(stopTime));
+        return this;
+    }
+
+    dispose() {
+        this.players.forEach(player => player.dispose());
+        this.players.clear();
+        this.output.dispose();
+        return this;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * SoundFont Instrument
+ * Plays one SoundFont preset through Tone.js, with the sample regions,
+ * loops and volume envelopes the preset defines
+ */
+
+import * as Tone from 'tone';
+
+// Decoded sample regions, shared by every instrument playing the same SoundFont
+const bufferCache = new WeakMap();
+
+// Browsers only create buffers within this sample rate range
+const MIN_SAMPLE_RATE = 3000;
+const MAX_SAMPLE_RATE = 384000;
+
+// Fade used when playback is stopped (e.g. seeking), to avoid clicks
+const STOP_FADE = 0.03;
+
+const getRegionBuffer = (soundFont, region) => {
+    if (!bufferCache.has(soundFont)) {
+        bufferCache.set(soundFont, new Map());
+    }
+    const buffers = bufferCache.get(soundFont);
+    const key = `${region.start}:${region.end}:${region.sampleRate}`;
+
+    if (!buffers.has(key)) {
+        const frames = soundFont.sampleData.subarray(region.start, region.end);
+        const sampleRate = Math.max(MIN_SAMPLE_RATE, Math.min(MAX_SAMPLE_RATE, region.sampleRate));
+        const audioBuffer = Tone.getContext().createBuffer(1, Math.max(1, frames.length), sampleRate);
+        const channel = audioBuffer.getChannelData(0);
+        for (let i = 0; i < frames.length; i++) {
+            channel[i] = frames[i] / 32768;
+        }
+        buffers.set(key, new Tone.ToneAudioBuffer(audioBuffer));
+    }
+    return buffers.get(key);
+};
+
+/**
+ * Has the parts of the PolySynth interface the players use
+ * (triggerAttackRelease, releaseAll, volume, connect, toDestination, dispose)
+ */
+export class SoundFontInstrument {
+    constructor(soundFont, preset, options = {}) {
+        this.soundFont = soundFont;
+        this.preset = preset;
+        this.output = new Tone.Volume(typeof options.volume === 'number' ? options.volume : 0);
+        this.volume = this.output.volume;
+        this.voices = new Set();
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    toDestination() {
+        this.output.toDestination();
+        return this;
+    }
+
+    /**
+     * Play a note (MIDI number or note name) for a duration, starting at time
+     */
+    triggerAttackRelease(note, duration, time, velocity = 1) {
+        const midi = typeof note === 'number' ? note : Tone.Frequency(note).toMidi();
+        const startTime = Tone.Time(time).toSeconds();
+        const length = Tone.Time(duration).toSeconds();
+        const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+
+        this.soundFont.findRegions(this.preset, midi, midiVelocity)
+            .forEach(region => this.startVoice(region, startTime, length, velocity));
+        return this;
+    }
+
+    startVoice(region, time, duration, velocity) {
+        const buffer = getRegionBuffer(this.soundFont, region);
+        const sampleRate = buffer.sampleRate;
+        const source = new Tone.ToneBufferSource({
+            url: buffer,
+            playbackRate: region.playbackRate,
+            loop: region.loop,
+            loopStart: region.loopStart / sampleRate,
+            loopEnd: region.loopEnd / sampleRate
+        });
+        const envelope = new Tone.Gain(0);
+        const panner = new Tone.Panner(region.pan);
+        source.chain(envelope, panner, this.output);
+
+        // Attack, hold, then decay towards the sustain level
+        const peak = region.gain * velocity;
+        const gain = envelope.gain;
+        const holdEnd = time + region.attack + region.hold;
+        gain.setValueAtTime(0, time);
+        gain.linearRampToValueAtTime(peak, time + region.attack);
+        gain.setValueAtTime(peak, holdEnd);
+        gain.setTargetAtTime(peak * region.sustain, holdEnd, region.decay / 4);
+
+        // Release from wherever the envelope is when the note ends
+        const releaseStart = Math.max(time + duration, time + 0.005);
+        gain.cancelAndHoldAtTime(releaseStart);
+        gain.setTargetAtTime(0, releaseStart, region.release / 4);
+
+        const voice = {
+            source,
+            stop: (stopTime) => {
+                gain.cancelAndHoldAtTime(stopTime);
+                gain.linearRampToValueAtTime(0, stopTime + STOP_FADE);
+                source.stop(stopTime + STOP_FADE);
+            },
+            dispose: () => [source, envelope, panner].forEach(node => node.dispose())
+        };
+        source.onended = () => {
+            this.voices.delete(voice);
+            voice.dispose();
+        };
+        this.voices.add(voice);
+
+        source.start(time);
+        source.stop(releaseStart + region.release);
+    }
+
+    releaseAll(time) {
+        const stopTime = time === undefined ? Tone.now() : Tone.Time(time).toSeconds();
+        this.voices.forEach(voice => voice.stop(stopTime));
+        return this;
+    }
+
+    dispose() {
+        this.voices.forEach(voice => voice.dispose());
+        this.voices.clear();
+        this.output.dispose();
+        return this;
+    }
+}
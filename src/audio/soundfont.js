@@ -0,0 +1,323 @@
+/**
+ * SoundFont
+ * Parses SoundFont 2 (.sf2) files and resolves presets into playable sample
+ * regions for a note and velocity
+ */
+
+// Generator operators used for playback (SoundFont 2.04 section 8.1.2)
+const GEN = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    pan: 17,
+    attackVolEnv: 34,
+    holdVolEnv: 35,
+    decayVolEnv: 36,
+    sustainVolEnv: 37,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    scaleTuning: 56,
+    overridingRootKey: 58
+};
+
+// Envelope times are in timecents; -12000 is the spec's default of about 1 ms
+const DEFAULT_TIMECENTS = -12000;
+
+// GM percussion lives in bank 128
+export const PERCUSSION_BANK = 128;
+
+const timecentsToSeconds = (timecents) => Math.pow(2, timecents / 1200);
+
+const centibelsToGain = (centibels) => Math.pow(10, -centibels / 200);
+
+const readFourCC = (view, offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+);
+
+// Fixed-length, zero-padded ASCII name
+const readName = (view, offset, length = 20) => {
+    let name = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) {
+            break;
+        }
+        name += String.fromCharCode(code);
+    }
+    return name.trim();
+};
+
+/**
+ * List the RIFF chunks between start and end. LIST chunks carry their list type.
+ */
+const readChunks = (view, start, end) => {
+    const chunks = {};
+    let offset = start;
+    while (offset + 8 <= end) {
+        const id = readFourCC(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        if (dataStart + size > view.byteLength) {
+            throw new Error(`Invalid SoundFont: chunk ${id} runs past the end of the file`);
+        }
+
+        if (id === 'LIST') {
+            chunks[readFourCC(view, dataStart)] = { start: dataStart + 4, end: dataStart + size };
+        } else {
+            chunks[id] = { start: dataStart, end: dataStart + size };
+        }
+        // Chunks are padded to an even length
+        offset = dataStart + size + (size & 1);
+    }
+    return chunks;
+};
+
+const readRecords = (view, chunk, recordSize, readRecord) => {
+    if (!chunk) {
+        return [];
+    }
+    const records = [];
+    for (let offset = chunk.start; offset + recordSize <= chunk.end; offset += recordSize) {
+        records.push(readRecord(offset));
+    }
+    return records;
+};
+
+/**
+ * Read each zone's generators as { operator: amount }. Key and velocity
+ * ranges become { lo, hi }; instrument and sample indexes are unsigned.
+ */
+const readZones = (view, bags, generators, bagStart, bagEnd) => {
+    const zones = [];
+    for (let bag = bagStart; bag < bagEnd && bag + 1 < bags.length; bag++) {
+        const zone = {};
+        for (let gen = bags[bag]; gen < bags[bag + 1] && gen < generators.length; gen++) {
+            const { operator, offset } = generators[gen];
+            if (operator === GEN.keyRange || operator === GEN.velRange) {
+                zone[operator] = { lo: view.getUint8(offset), hi: view.getUint8(offset + 1) };
+            } else if (operator === GEN.instrument || operator === GEN.sampleID) {
+                zone[operator] = view.getUint16(offset, true);
+            } else {
+                zone[operator] = view.getInt16(offset, true);
+            }
+        }
+        zones.push(zone);
+    }
+    return zones;
+};
+
+/**
+ * Split zones into a leading global zone (no instrument/sample link) and the rest
+ */
+const splitGlobalZone = (zones, linkOperator) => {
+    const global = zones.length > 0 && zones[0][linkOperator] === undefined ? zones[0] : {};
+    return {
+        global,
+        zones: zones.filter(zone => zone[linkOperator] !== undefined)
+    };
+};
+
+const inRange = (range, value) => !range || (value >= range.lo && value <= range.hi);
+
+export class SoundFont {
+    constructor({ name, presets, instruments, samples, sampleData }) {
+        this.name = name;
+        this.presets = presets;
+        this.instruments = instruments;
+        this.samples = samples;
+        this.sampleData = sampleData;
+    }
+
+    /**
+     * Parse a SoundFont 2 file from an ArrayBuffer. Sample data is kept as a
+     * view on the buffer; nothing is decoded until a note is played.
+     */
+    static fromBuffer(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 12 || readFourCC(view, 0) !== 'RIFF' || readFourCC(view, 8) !== 'sfbk') {
+            throw new Error('Invalid SoundFont: not an SF2 file');
+        }
+
+        const lists = readChunks(view, 12, Math.min(view.byteLength, 8 + view.getUint32(4, true)));
+        if (!lists.sdta || !lists.pdta) {
+            throw new Error('Invalid SoundFont: missing sample or preset data');
+        }
+
+        const info = lists.INFO ? readChunks(view, lists.INFO.start, lists.INFO.end) : {};
+        const name = info.INAM ? readName(view, info.INAM.start, info.INAM.end - info.INAM.start) : '';
+
+        const sampleChunk = readChunks(view, lists.sdta.start, lists.sdta.end).smpl;
+        if (!sampleChunk) {
+            throw new Error('Invalid SoundFont: missing sample data');
+        }
+        const sampleCount = Math.floor((sampleChunk.end - sampleChunk.start) / 2);
+        // Int16Array views need an even offset
+        const sampleData = sampleChunk.start % 2 === 0
+            ? new Int16Array(buffer, sampleChunk.start, sampleCount)
+            : new Int16Array(buffer.slice(sampleChunk.start, sampleChunk.start + sampleCount * 2));
+
+        const pdta = readChunks(view, lists.pdta.start, lists.pdta.end);
+        const readBags = (chunk) => readRecords(view, chunk, 4, offset => view.getUint16(offset, true));
+        const readGenerators = (chunk) => readRecords(view, chunk, 4, offset => ({
+            operator: view.getUint16(offset, true),
+            offset: offset + 2
+        }));
+
+        const presetHeaders = readRecords(view, pdta.phdr, 38, offset => ({
+            name: readName(view, offset),
+            program: view.getUint16(offset + 20, true),
+            bank: view.getUint16(offset + 22, true),
+            bag: view.getUint16(offset + 24, true)
+        }));
+        const instrumentHeaders = readRecords(view, pdta.inst, 22, offset => ({
+            name: readName(view, offset),
+            bag: view.getUint16(offset + 20, true)
+        }));
+        const samples = readRecords(view, pdta.shdr, 46, offset => ({
+            name: readName(view, offset),
+            start: view.getUint32(offset + 20, true),
+            end: view.getUint32(offset + 24, true),
+            loopStart: view.getUint32(offset + 28, true),
+            loopEnd: view.getUint32(offset + 32, true),
+            sampleRate: view.getUint32(offset + 36, true),
+            originalPitch: view.getUint8(offset + 40),
+            pitchCorrection: view.getInt8(offset + 41)
+        }));
+
+        if (presetHeaders.length < 2 || instrumentHeaders.length < 2) {
+            throw new Error('Invalid SoundFont: no presets found');
+        }
+
+        const presetBags = readBags(pdta.pbag);
+        const presetGenerators = readGenerators(pdta.pgen);
+        const instrumentBags = readBags(pdta.ibag);
+        const instrumentGenerators = readGenerators(pdta.igen);
+
+        // Every header list ends with a terminal record that only marks the last bag
+        const presets = presetHeaders.slice(0, -1).map((header, index) => ({
+            name: header.name,
+            bank: header.bank,
+            program: header.program,
+            ...splitGlobalZone(
+                readZones(view, presetBags, presetGenerators, header.bag, presetHeaders[index + 1].bag),
+                GEN.instrument
+            )
+        }));
+        const instruments = instrumentHeaders.slice(0, -1).map((header, index) => ({
+            name: header.name,
+            ...splitGlobalZone(
+                readZones(view, instrumentBags, instrumentGenerators, header.bag, instrumentHeaders[index + 1].bag),
+                GEN.sampleID
+            )
+        }));
+
+        return new SoundFont({ name, presets, instruments, samples: samples.slice(0, -1), sampleData });
+    }
+
+    /**
+     * Find the preset for a bank and program, falling back to the same program
+     * in another bank (or any percussion kit for the percussion bank)
+     */
+    findPreset(bank, program) {
+        const exact = this.presets.find(preset => preset.bank === bank && preset.program === program);
+        if (exact) {
+            return exact;
+        }
+        if (bank === PERCUSSION_BANK) {
+            return this.presets.find(preset => preset.bank === PERCUSSION_BANK) || null;
+        }
+        return this.presets.find(preset => preset.bank === 0 && preset.program === program)
+            || this.presets.find(preset => preset.bank !== PERCUSSION_BANK && preset.program === program)
+            || null;
+    }
+
+    /**
+     * Sample regions of a preset that sound for a MIDI note and velocity (1-127).
+     * Each region has the sample frames to play, its pitch, loop and envelope.
+     */
+    findRegions(preset, midi, velocity) {
+        const regions = [];
+        preset.zones.forEach(zone => {
+            const presetZone = { ...preset.global, ...zone };
+            if (!inRange(presetZone[GEN.keyRange], midi) || !inRange(presetZone[GEN.velRange], velocity)) {
+                return;
+            }
+
+            const instrument = this.instruments[presetZone[GEN.instrument]];
+            if (!instrument) {
+                return;
+            }
+
+            instrument.zones.forEach(instrumentZone => {
+                const merged = { ...instrument.global, ...instrumentZone };
+                const sample = this.samples[merged[GEN.sampleID]];
+                if (sample && inRange(merged[GEN.keyRange], midi) && inRange(merged[GEN.velRange], velocity)) {
+                    regions.push(SoundFont.buildRegion(sample, merged, presetZone, midi));
+                }
+            });
+        });
+        return regions;
+    }
+
+    /**
+     * Combine instrument and preset generators into playback parameters.
+     * Preset-level values are offsets added to the instrument's; sample
+     * addresses, loop mode and root key are only set at instrument level.
+     */
+    static buildRegion(sample, instrumentZone, presetZone, midi) {
+        const value = (operator, defaultValue = 0) =>
+            (instrumentZone[operator] !== undefined ? instrumentZone[operator] : defaultValue)
+            + (presetZone[operator] || 0);
+        const instrumentValue = (operator) => instrumentZone[operator] || 0;
+
+        const start = sample.start + instrumentValue(GEN.startAddrsOffset)
+            + 32768 * instrumentValue(GEN.startAddrsCoarseOffset);
+        const end = sample.end + instrumentValue(GEN.endAddrsOffset)
+            + 32768 * instrumentValue(GEN.endAddrsCoarseOffset);
+        const loopStart = sample.loopStart + instrumentValue(GEN.startloopAddrsOffset)
+            + 32768 * instrumentValue(GEN.startloopAddrsCoarseOffset);
+        const loopEnd = sample.loopEnd + instrumentValue(GEN.endloopAddrsOffset)
+            + 32768 * instrumentValue(GEN.endloopAddrsCoarseOffset);
+
+        const overridingRootKey = instrumentZone[GEN.overridingRootKey];
+        const rootKey = overridingRootKey !== undefined && overridingRootKey >= 0
+            ? overridingRootKey
+            : (sample.originalPitch <= 127 ? sample.originalPitch : 60);
+        const cents = (midi - rootKey) * value(GEN.scaleTuning, 100)
+            + value(GEN.coarseTune) * 100
+            + value(GEN.fineTune)
+            + sample.pitchCorrection;
+
+        // Sample modes 1 and 3 loop (3 plays on past the loop on release; treated the same here)
+        const loop = (instrumentValue(GEN.sampleModes) & 1) === 1 && loopEnd > loopStart;
+
+        return {
+            start,
+            end: Math.max(start + 1, end),
+            loop,
+            loopStart: loopStart - start,
+            loopEnd: loopEnd - start,
+            sampleRate: sample.sampleRate,
+            playbackRate: Math.pow(2, cents / 1200),
+            gain: centibelsToGain(Math.max(0, Math.min(1440, value(GEN.initialAttenuation)))),
+            pan: Math.max(-1, Math.min(1, value(GEN.pan) / 500)),
+            attack: timecentsToSeconds(value(GEN.attackVolEnv, DEFAULT_TIMECENTS)),
+            hold: timecentsToSeconds(value(GEN.holdVolEnv, DEFAULT_TIMECENTS)),
+            decay: timecentsToSeconds(value(GEN.decayVolEnv, DEFAULT_TIMECENTS)),
+            sustain: centibelsToGain(Math.max(0, Math.min(1440, value(GEN.sustainVolEnv)))),
+            release: timecentsToSeconds(value(GEN.releaseVolEnv, DEFAULT_TIMECENTS))
+        };
+    }
+}
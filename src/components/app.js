@@ -8,6 +8,15 @@ import { FileWidget } from './file-widget.js';
 import { TrackComponent, MidiHeader } from './track-component.js';
 import { MidiDocument } from '../midi/midi-utils.js';
 import { MPCConverter } from '../converter/mpc-converter.js';
+import { MPCPatternParser } from '../converter/mpc-pattern-parser.js';
+import { downloadBlob } from '../utils/download-utils.js';
+import { writeZip } from '../utils/zip-writer.js';
+import { SessionFile } from '../utils/session-file.js';
+import { SongTransport, getTrackMix } from './song-transport.js';
+import { SoundFont } from '../audio/soundfont.js';
+import { TempoMap } from '../midi/tempo-map.js';
+import { createEmptyKit } from '../audio/pad-kit.js';
+import { PadKitEditor } from './pad-kit-editor.js';
 import { Midi } from '@tonejs/midi';
 
 export class MidiConverterApp extends Component {
@@ -20,10 +29,23 @@ export class MidiConverterApp extends Component {
             isLoading: false,
             error: null,
             toneMidi: null,
-            midiArrayBuffer: null
+            midiArrayBuffer: null,
+            sourceType: null,
+            sourceData: null,
+            sessionTracks: {},
+            mixer: {},
+            soundFont: null,
+            soundFontName: '',
+            padKit: createEmptyKit(),
+            tempoOverride: null,
+            metronome: false,
+            loadId: 0,
+            isExportingAll: false
         };
 
         this.fileWidgetRef = null;
+        this.trackRefs = new Map();
+        this.playbackTempo = null;
     }
 
     componentDidMount() {
@@ -45,6 +67,59 @@ export class MidiConverterApp extends Component {
         console.log(`File size: ${data.byteLength} bytes`);
         console.log(`Data preview:`, new Uint8Array(data.slice(0, 16)));
 
+        if (SessionFile.isSessionFile(name)) {
+            this.loadSessionFile(data, name);
+        } else if (MPCPatternParser.isPatternFile(name)) {
+            this.loadPatternFile(data, name);
+        } else {
+            this.loadMidiFile(data, name);
+        }
+    };
+
+    /**
+     * Reopen a saved session: load its source file, then restore note edits
+     * here and each track's selection and settings when the tracks mount
+     */
+    loadSessionFile = (data, name) => {
+        try {
+            const { source, tracks } = SessionFile.fromBuffer(data);
+            console.log(`Opening session ${name} for ${source.name}`);
+
+            if (source.type === 'mpcpattern') {
+                this.loadPatternFile(source.data, source.name, tracks);
+            } else {
+                this.loadMidiFile(source.data, source.name, tracks);
+            }
+        } catch (error) {
+            console.error('Error opening session:', error);
+            this.setState({
+                error: `Error opening session: ${error.message}`,
+                isLoading: false
+            });
+        }
+    };
+
+    applySessionNotes = (midiDocument, sessionTracks) => {
+        Object.entries(sessionTracks).forEach(([midiTrackIndex, sessionTrack]) => {
+            const track = midiDocument.tracks[midiTrackIndex];
+            if (track && Array.isArray(sessionTrack.notes)) {
+                track.replaceNotes(sessionTrack.notes);
+            }
+        });
+    };
+
+    // Mute/solo/volume per MIDI track index, as saved with a session
+    getSessionMixer = (sessionTracks) => {
+        const mixer = {};
+        Object.entries(sessionTracks).forEach(([midiTrackIndex, sessionTrack]) => {
+            if (sessionTrack.mix) {
+                mixer[midiTrackIndex] = sessionTrack.mix;
+            }
+        });
+        return mixer;
+    };
+
+    loadMidiFile = (data, name, sessionTracks = {}) => {
         try {
             // Parse MIDI file
             const midiDocument = MidiDocument.fromBuffer(data);
@@ -55,26 +130,8 @@ export class MidiConverterApp extends Component {
             const toneMidi = new Midi(data);
             console.log('Parsed Tone.js MIDI object:', toneMidi);
 
-            // Prefer Tone.js tempo parsing if available (handles multiple tempo changes accurately)
-            let detectedTempo = midiDocument?.header?.tempoBPM || null;
-            if (toneMidi?.header) {
-                if (Array.isArray(toneMidi.header.tempos) && toneMidi.header.tempos.length > 0) {
-                    const earliestTempo = [...toneMidi.header.tempos].sort((a, b) => (a.ticks || 0) - (b.ticks || 0))[0];
-                    if (earliestTempo?.bpm) {
-                        detectedTempo = earliestTempo.bpm;
-                    }
-                } else if (toneMidi.header.bpm) {
-                    detectedTempo = toneMidi.header.bpm;
-                }
-            }
-
-            if (detectedTempo) {
-                const tempoBPM = Number.parseFloat(detectedTempo) || 120;
-                midiDocument.header = {
-                    ...midiDocument.header,
-                    tempoBPM
-                };
-                midiDocument.tempoBPM = tempoBPM;
+            if (!midiDocument.tempoMap.isConstant()) {
+                console.log('Tempo changes:', midiDocument.tempoMap.toJSON());
             }
 
             // Log track details
@@ -82,6 +139,8 @@ export class MidiConverterApp extends Component {
                 console.log(`Track ${index + 1}: ${track.notes?.length || 0} notes, name: "${track.name || 'Unknown'}"`);
             });
 
+            this.applySessionNotes(midiDocument, sessionTracks);
+
             // Create converter
             const converter = new MPCConverter(midiDocument);
             console.log(`Created converter:`, converter);
@@ -93,6 +152,12 @@ export class MidiConverterApp extends Component {
                 converter,
                 midiArrayBuffer: data,
                 toneMidi,
+                sourceType: 'midi',
+                sourceData: data,
+                sessionTracks,
+                mixer: this.getSessionMixer(sessionTracks),
+                tempoOverride: null,
+                loadId: this.state.loadId + 1,
                 isLoading: false,
                 error: null
             });
@@ -109,6 +174,252 @@ export class MidiConverterApp extends Component {
         }
     };
 
+    loadPatternFile = (data, name, sessionTracks = {}) => {
+        try {
+            // Parse MPC pattern into a MIDI document
+            const midiDocument = MPCPatternParser.fromBuffer(data, name);
+            console.log(`Parsed MPC pattern:`, midiDocument);
+
+            // Render to Standard MIDI so playback and download share the same data
+            const midiArrayBuffer = midiDocument.toBuffer();
+            const toneMidi = new Midi(midiArrayBuffer);
+
+            this.applySessionNotes(midiDocument, sessionTracks);
+
+            const converter = new MPCConverter(midiDocument);
+
+            this.setState({
+                midiDocument,
+                midiText: name,
+                converter,
+                midiArrayBuffer,
+                toneMidi,
+                sourceType: 'mpcpattern',
+                sourceData: data,
+                sessionTracks,
+                mixer: this.getSessionMixer(sessionTracks),
+                tempoOverride: null,
+                loadId: this.state.loadId + 1,
+                isLoading: false,
+                error: null
+            });
+
+            console.log(`Successfully loaded MPC pattern with ${midiDocument.tracks[0].notes.length} notes`);
+
+        } catch (error) {
+            console.error('Error loading MPC pattern:', error);
+            this.setState({
+                error: `Error loading MPC pattern: ${error.message}`,
+                isLoading: false
+            });
+        }
+    };
+
+    handleDownloadMidi = () => {
+        const { midiDocument, midiText } = this.state;
+        if (!midiDocument) {
+            return;
+        }
+
+        try {
+            const { blob, filename } = MPCPatternParser.createMidiFile(midiDocument, midiText);
+            downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Error creating MIDI file:', error);
+            alert(`Error creating MIDI file: ${error.message}`);
+        }
+    };
+
+    /**
+     * Download the loaded file with every track's selection, settings,
+     * view and note edits as one session file
+     */
+    handleSaveSession = () => {
+        const { midiText, sourceType, sourceData } = this.state;
+        if (!sourceData) {
+            return;
+        }
+
+        try {
+            const tracks = [...this.trackRefs.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([midiTrackIndex, trackComponent]) => ({
+                    midiTrackIndex,
+                    ...trackComponent.getSessionState(),
+                    mix: this.state.mixer[midiTrackIndex] || null
+                }));
+
+            const { blob, filename } = SessionFile.createSessionFile(
+                { name: midiText, type: sourceType, data: sourceData },
+                tracks
+            );
+            downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Error saving session:', error);
+            alert(`Error saving session: ${error.message}`);
+        }
+    };
+
+    /**
+     * Load an .sf2 file for playback; it stays loaded when another MIDI file is opened
+     */
+    handleSoundFontSelect = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            const soundFont = SoundFont.fromBuffer(await file.arrayBuffer());
+            console.log(`Loaded SoundFont ${file.name} with ${soundFont.presets.length} presets`);
+            this.setState({ soundFont, soundFontName: file.name });
+        } catch (error) {
+            console.error('Error loading SoundFont:', error);
+            alert(`Error loading SoundFont: ${error.message}`);
+        }
+    };
+
+    clearSoundFont = () => {
+        this.setState({ soundFont: null, soundFontName: '' });
+    };
+
+    handleTempoOverride = (tempoOverride) => {
+        this.setState({ tempoOverride });
+    };
+
+    handleMetronomeChange = (metronome) => {
+        this.setState({ metronome });
+    };
+
+    /**
+     * Tempo map the players use: the file's, or a constant tempo when overridden.
+     * The same object is returned until the tempo changes, so players only
+     * restart for a real change.
+     */
+    getPlaybackTempoMap = () => {
+        const { midiDocument, tempoOverride } = this.state;
+        if (!tempoOverride) {
+            return midiDocument.tempoMap;
+        }
+        const cached = this.playbackTempo;
+        if (!cached || cached.source !== midiDocument.tempoMap || cached.bpm !== tempoOverride) {
+            this.playbackTempo = {
+                source: midiDocument.tempoMap,
+                bpm: tempoOverride,
+                tempoMap: TempoMap.constant(tempoOverride, midiDocument.tempoMap.ticksPerQuarter)
+            };
+        }
+        return this.playbackTempo.tempoMap;
+    };
+
+    handlePadKitChange = (change) => {
+        this.setState(({ padKit }) => ({
+            padKit: typeof change === 'function' ? change(padKit) : change
+        }));
+    };
+
+    // The note map a track exports with, so song playback hits the same pads
+    getPadNoteMap = (midiTrackIndex) => {
+        const trackComponent = this.trackRefs.get(midiTrackIndex);
+        return trackComponent ? trackComponent.getPadNoteMap() : null;
+    };
+
+    handleMixChange = (midiTrackIndex, changes) => {
+        this.setState(({ mixer }) => ({
+            mixer: {
+                ...mixer,
+                [midiTrackIndex]: { ...getTrackMix(mixer, midiTrackIndex), ...changes }
+            }
+        }));
+    };
+
+    // Show the song transport's position on every track's piano roll
+    handleSongPosition = (ticks) => {
+        this.trackRefs.forEach(trackComponent => trackComponent.handlePlaybackPosition(ticks));
+    };
+
+    setTrackRef = (midiTrackIndex, trackComponent) => {
+        if (trackComponent) {
+            this.trackRefs.set(midiTrackIndex, trackComponent);
+        } else {
+            this.trackRefs.delete(midiTrackIndex);
+        }
+    };
+
+    /**
+     * Convert every track using its own selection and export settings
+     * and download the patterns together as one ZIP file
+     */
+    handleExportAll = async () => {
+        const { midiDocument, midiText, isExportingAll } = this.state;
+        if (!midiDocument || isExportingAll) {
+            return;
+        }
+
+        // Let "Exporting..." paint before the conversion blocks the main thread
+        await new Promise(resolve => this.setState({ isExportingAll: true }, resolve));
+        await new Promise(resolve => window.requestAnimationFrame(() => window.setTimeout(resolve, 0)));
+
+        try {
+            const entries = [];
+            const manifestTracks = [];
+
+            [...this.trackRefs.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([midiTrackIndex, trackComponent]) => {
+                    const { pattern, range, baseTicks, noteCount } = trackComponent.buildPatternExport();
+                    if (noteCount === 0) {
+                        return;
+                    }
+
+                    const { track } = trackComponent.props;
+                    const trackNumber = trackComponent.getMidiTrackNumber();
+                    const filename = MPCConverter.getMPCFilename(trackNumber, midiText);
+
+                    entries.push({ name: filename, data: MPCConverter.exportMPCPattern(pattern) });
+                    manifestTracks.push({
+                        file: filename,
+                        track: trackNumber,
+                        midiTrackIndex,
+                        name: trackComponent.getDisplayTrackName(),
+                        instrument: trackComponent.getInstrumentLabel(),
+                        channel: typeof track.channel === 'number' ? track.channel + 1 : null,
+                        noteCount,
+                        range: {
+                            startTicks: range.start,
+                            endTicks: range.end,
+                            patternStartTicks: baseTicks
+                        }
+                    });
+                });
+
+            if (entries.length === 0) {
+                alert('No tracks contain notes in their selected ranges.');
+                return;
+            }
+
+            const manifest = {
+                source: midiText,
+                exportedAt: new Date().toISOString(),
+                ticksPerQuarter: midiDocument.header.ticksPerQuarter || midiDocument.header.timeDivision || 480,
+                tempoBPM: midiDocument.header.tempoBPM || 120,
+                tracks: manifestTracks
+            };
+            entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+            const baseName = midiText ? midiText.split('/').pop().split('.')[0] : 'midi_file';
+            const blob = new Blob([writeZip(entries)], { type: 'application/zip' });
+            downloadBlob(blob, `${baseName}_patterns.zip`);
+
+        } catch (error) {
+            console.error('Error exporting all tracks:', error);
+            alert(`Error exporting tracks: ${error.message}`);
+        } finally {
+            this.setState({ isExportingAll: false });
+        }
+    };
+
     handleFileError = (error) => {
         console.error('File error:', error);
         this.setState({
@@ -128,12 +439,35 @@ export class MidiConverterApp extends Component {
             converter: null,
             error: null,
             toneMidi: null,
-            midiArrayBuffer: null
+            midiArrayBuffer: null,
+            sourceType: null,
+            sourceData: null,
+            sessionTracks: {},
+            mixer: {},
+            tempoOverride: null
         });
     };
 
+    /**
+     * Tracks shown in the list, with their original MIDI file index and Tone.js track.
+     * Only tracks with notes are shown; tracks whose notes were all deleted in
+     * the editor stay so the edit can be reverted.
+     */
+    getVisibleTracks = () => {
+        const { midiDocument, toneMidi } = this.state;
+
+        const toneTracksWithNotes = toneMidi
+            ? toneMidi.tracks.filter(track => track.notes && track.notes.length > 0)
+            : [];
+
+        return midiDocument.tracks
+            .map((track, midiTrackIndex) => ({ track, midiTrackIndex }))
+            .filter(({ track }) => (track.notes && track.notes.length > 0) || track.hasEdits())
+            .map((entry, uiIndex) => ({ ...entry, toneTrack: toneTracksWithNotes[uiIndex] || null }));
+    };
+
     renderTrackList = () => {
-    const { midiDocument, converter, midiArrayBuffer, toneMidi } = this.state;
+    const { midiDocument, converter, midiArrayBuffer, toneMidi, sessionTracks, mixer, soundFont, padKit, metronome, loadId } = this.state;
 
     if (!midiDocument || !midiDocument.tracks) {
         return null;
@@ -144,26 +478,17 @@ export class MidiConverterApp extends Component {
         converter.calcTimeBounds();
     }
 
-    // Only show tracks with notes, but keep their original MIDI file index
-    const tracksWithNotes = midiDocument.tracks
-        .map((track, midiTrackIndex) => ({ track, midiTrackIndex }))
-        .filter(({ track }) => track.notes && track.notes.length > 0);
-
-    const toneTracksWithNotes = toneMidi
-        ? toneMidi.tracks.filter(track => track.notes && track.notes.length > 0)
-        : [];
-
     return (
         <div className="track-list">
-            {tracksWithNotes.map(({ track, midiTrackIndex }, uiIndex) => {
-                const toneTrack = toneTracksWithNotes[uiIndex] || null;
+            {this.getVisibleTracks().map(({ track, midiTrackIndex, toneTrack }, uiIndex) => {
                 if (!toneTrack) {
                     console.warn(`No Tone.js track found for MIDI track index ${midiTrackIndex}.`);
                 }
 
                 return (
                 <TrackComponent
-                    key={`track-${midiTrackIndex}`}
+                    key={`track-${loadId}-${midiTrackIndex}`}
+                    ref={(component) => this.setTrackRef(midiTrackIndex, component)}
                     track={track}
                     trackNum={uiIndex + 1}
                     midiTrackIndex={midiTrackIndex}
@@ -172,6 +497,13 @@ export class MidiConverterApp extends Component {
                     midiArrayBuffer={midiArrayBuffer}
                     toneTrack={toneTrack}
                     toneMidi={toneMidi}
+                    sessionState={sessionTracks[midiTrackIndex]}
+                    soundFont={soundFont}
+                    padKit={padKit}
+                    playbackTempoMap={this.getPlaybackTempoMap()}
+                    metronome={metronome}
+                    mix={getTrackMix(mixer, midiTrackIndex)}
+                    onMixChange={(changes) => this.handleMixChange(midiTrackIndex, changes)}
                 />
                 );
             })}
@@ -207,7 +539,21 @@ export class MidiConverterApp extends Component {
     };
 
     render() {
-        const { midiDocument, midiText, isLoading, error } = this.state;
+        const {
+            midiDocument,
+            midiText,
+            isLoading,
+            error,
+            sourceType,
+            isExportingAll,
+            mixer,
+            soundFont,
+            soundFontName,
+            padKit,
+            tempoOverride,
+            metronome,
+            loadId
+        } = this.state;
 
         return (
             <div className="midi-converter-app">
@@ -228,7 +574,7 @@ export class MidiConverterApp extends Component {
 
                 <div className="file-section">
                     <FileWidget
-                        acceptedTypes={['.mid', '.midi', '.MID', '.MIDI']}
+                        acceptedTypes={['.mid', '.midi', '.MID', '.MIDI', '.mpcpattern', '.mpcsession']}
                         onFileSelect={this.handleFileSelect}
                         onFileLoad={this.handleFileLoad}
                         onError={this.handleFileError}
@@ -273,7 +619,69 @@ export class MidiConverterApp extends Component {
                                 >
                                     Load Different File
                                 </button>
+                                <button
+                                    className="clear-button"
+                                    onClick={this.handleExportAll}
+                                    disabled={isExportingAll}
+                                >
+                                    {isExportingAll ? 'Exporting...' : 'Export All (ZIP)'}
+                                </button>
+                                <button
+                                    className="clear-button"
+                                    onClick={this.handleSaveSession}
+                                >
+                                    Save Session
+                                </button>
+                                <label
+                                    className="clear-button soundfont-button"
+                                    title="Play tracks with the GM presets of a SoundFont (.sf2) instead of the built-in synths"
+                                >
+                                    {soundFont ? `SoundFont: ${soundFontName}` : 'Load SoundFont (.sf2)'}
+                                    <input
+                                        type="file"
+                                        accept=".sf2"
+                                        onChange={this.handleSoundFontSelect}
+                                    />
+                                </label>
+                                {soundFont && (
+                                    <button
+                                        className="clear-button"
+                                        onClick={this.clearSoundFont}
+                                    >
+                                        Use Built-in Sounds
+                                    </button>
+                                )}
+                                {sourceType === 'mpcpattern' && (
+                                    <button
+                                        className="clear-button"
+                                        onClick={this.handleDownloadMidi}
+                                    >
+                                        Download as MIDI
+                                    </button>
+                                )}
                             </div>
+
+                            <SongTransport
+                                key={loadId}
+                                tracks={this.getVisibleTracks()}
+                                tempoMap={this.getPlaybackTempoMap()}
+                                fileTempoMap={midiDocument.tempoMap}
+                                timeSignatureMap={midiDocument.timeSignatureMap}
+                                bpm={tempoOverride}
+                                onBpmChange={this.handleTempoOverride}
+                                metronome={metronome}
+                                onMetronomeChange={this.handleMetronomeChange}
+                                mixer={mixer}
+                                soundFont={soundFont}
+                                padKit={padKit}
+                                getNoteMap={this.getPadNoteMap}
+                                onPositionChange={this.handleSongPosition}
+                            />
+
+                            <PadKitEditor
+                                kit={padKit}
+                                onChange={this.handlePadKitChange}
+                            />
                         </div>
 
                         {this.renderTrackList()}
@@ -285,10 +693,13 @@ export class MidiConverterApp extends Component {
                     <h3>Usage Notes</h3>
                     <ul>
                         <li>You can select a subset of a track to extract by clicking and dragging on the timeline.</li>
-                        <li>At present, the program only converts Note On/Note Off events.</li>
+                        <li>Notes and controller changes (CC) are converted; pitch bend and channel pressure are not. Use the Automation checkboxes to choose which controllers are exported.</li>
+                        <li>You can also open an .mpcpattern file to view it and download it as a Standard MIDI file.</li>
                         <li>The MIDI file you choose and the MPC pattern files are processed entirely on your computer. No data is sent elsewhere.</li>
                         <li>MPC pattern files can be imported into Akai Force, MPC Live, MPC X, and other compatible devices.</li>
                         <li>Each track is converted to a separate .mpcpattern file for easier organization.</li>
+                        <li>Save Session downloads an .mpcsession file holding the loaded file together with the selection, export settings, zoom and note edits of every track. Open it like a MIDI file to carry on where you left off.</li>
+                        <li>Export All downloads the patterns of all tracks (each using its own selection and settings) in one ZIP file, with a manifest.json listing track names, instruments and ranges.</li>
                     </ul>
                 </div>
             </div>
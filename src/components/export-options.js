@@ -0,0 +1,219 @@
+/**
+ * Export Options Component
+ * Per-track settings applied when converting to an MPC pattern
+ */
+
+import React from 'react';
+import {
+    QUANTIZE_GRIDS,
+    DEFAULT_QUANTIZE_OPTIONS,
+    MIN_SWING,
+    MAX_SWING
+} from '../converter/quantizer.js';
+import { DEFAULT_NOTE_MAP_OPTIONS } from '../converter/note-map.js';
+import { DEFAULT_AUTOMATION_OPTIONS } from '../converter/automation.js';
+import { PATTERN_LENGTH_MODES, DEFAULT_LENGTH_OPTIONS } from '../converter/mpc-converter.js';
+import { BOUNDARY_POLICIES, DEFAULT_BOUNDARY_POLICY } from '../converter/boundary.js';
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    quantize: { ...DEFAULT_QUANTIZE_OPTIONS },
+    previewQuantize: true,
+    noteMap: { ...DEFAULT_NOTE_MAP_OPTIONS },
+    automation: { ...DEFAULT_AUTOMATION_OPTIONS },
+    length: { ...DEFAULT_LENGTH_OPTIONS },
+    boundary: DEFAULT_BOUNDARY_POLICY
+};
+
+const clampNumber = (value, min, max, fallback) => {
+    const parsed = Number.parseFloat(value);
+    if (Number.isNaN(parsed)) {
+        return fallback;
+    }
+    return Math.max(min, Math.min(max, parsed));
+};
+
+export const ExportOptions = ({
+    options = DEFAULT_EXPORT_OPTIONS,
+    automationSources = [],
+    onChange = () => {}
+}) => {
+    const quantize = options.quantize || DEFAULT_QUANTIZE_OPTIONS;
+    const automation = options.automation || DEFAULT_AUTOMATION_OPTIONS;
+    const length = options.length || DEFAULT_LENGTH_OPTIONS;
+    const quantizeEnabled = quantize.grid && quantize.grid !== 'off';
+    const selectedGrid = QUANTIZE_GRIDS.find(grid => grid.id === quantize.grid);
+
+    const updateQuantize = (changes) => {
+        onChange({
+            ...options,
+            quantize: { ...quantize, ...changes }
+        });
+    };
+
+    const toggleAutomationSource = (sourceId, included) => {
+        const excluded = (automation.excluded || []).filter(id => id !== sourceId);
+        if (!included) {
+            excluded.push(sourceId);
+        }
+        onChange({
+            ...options,
+            automation: { ...automation, excluded }
+        });
+    };
+
+    const updateLength = (changes) => {
+        onChange({
+            ...options,
+            length: { ...length, ...changes }
+        });
+    };
+
+    return (
+        <div className="export-options">
+            <div className="export-option-group">
+                <span className="export-option-title">Length</span>
+
+                <label className="export-option">
+                    <select
+                        value={length.mode}
+                        onChange={(e) => updateLength({ mode: e.target.value })}
+                    >
+                        {PATTERN_LENGTH_MODES.map(mode => (
+                            <option key={mode.id} value={mode.id}>{mode.label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {length.mode === 'bars' && (
+                    <label className="export-option">
+                        <input
+                            type="number"
+                            min="1"
+                            max="999"
+                            step="1"
+                            value={length.bars}
+                            onChange={(e) => updateLength({
+                                bars: Math.round(clampNumber(e.target.value, 1, 999, length.bars))
+                            })}
+                        />
+                        bars
+                    </label>
+                )}
+            </div>
+
+            <div className="export-option-group">
+                <span className="export-option-title">Edges</span>
+
+                <label className="export-option">
+                    <select
+                        value={options.boundary || DEFAULT_BOUNDARY_POLICY}
+                        onChange={(e) => onChange({ ...options, boundary: e.target.value })}
+                    >
+                        {BOUNDARY_POLICIES.map(policy => (
+                            <option key={policy.id} value={policy.id}>{policy.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="export-option-group">
+                <span className="export-option-title">Quantize</span>
+
+                <label className="export-option">
+                    Grid
+                    <select
+                        value={quantize.grid}
+                        onChange={(e) => updateQuantize({ grid: e.target.value })}
+                    >
+                        <option value="off">Off</option>
+                        {QUANTIZE_GRIDS.map(grid => (
+                            <option key={grid.id} value={grid.id}>{grid.label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="export-option">
+                    Strength
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="5"
+                        value={quantize.strength}
+                        disabled={!quantizeEnabled}
+                        onChange={(e) => updateQuantize({
+                            strength: clampNumber(e.target.value, 0, 100, quantize.strength)
+                        })}
+                    />
+                    %
+                </label>
+
+                <label className="export-option">
+                    Swing
+                    <input
+                        type="number"
+                        min={MIN_SWING}
+                        max={MAX_SWING}
+                        step="1"
+                        value={quantize.swing}
+                        disabled={!quantizeEnabled || (selectedGrid && selectedGrid.triplet)}
+                        onChange={(e) => updateQuantize({
+                            swing: clampNumber(e.target.value, MIN_SWING, MAX_SWING, quantize.swing)
+                        })}
+                    />
+                    %
+                </label>
+
+                <label className="export-option">
+                    <input
+                        type="checkbox"
+                        checked={quantize.quantizeEnds}
+                        disabled={!quantizeEnabled}
+                        onChange={(e) => updateQuantize({ quantizeEnds: e.target.checked })}
+                    />
+                    Quantize note ends
+                </label>
+
+                <label className="export-option">
+                    <input
+                        type="checkbox"
+                        checked={options.previewQuantize}
+                        disabled={!quantizeEnabled}
+                        onChange={(e) => onChange({ ...options, previewQuantize: e.target.checked })}
+                    />
+                    Preview
+                </label>
+            </div>
+
+            {automationSources.length > 0 && (
+                <div className="export-option-group">
+                    <span className="export-option-title">Automation</span>
+
+                    <label className="export-option">
+                        <input
+                            type="checkbox"
+                            checked={automation.enabled}
+                            onChange={(e) => onChange({
+                                ...options,
+                                automation: { ...automation, enabled: e.target.checked }
+                            })}
+                        />
+                        Include
+                    </label>
+
+                    {automationSources.map(source => (
+                        <label key={source.id} className="export-option">
+                            <input
+                                type="checkbox"
+                                checked={!(automation.excluded || []).includes(source.id)}
+                                disabled={!automation.enabled}
+                                onChange={(e) => toggleAutomationSource(source.id, e.target.checked)}
+                            />
+                            {source.label} ({source.count})
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -198,7 +198,7 @@ export const FileWidget = ({
                     onDrop={handleDrop}
                 >
                     <div className="drop-zone-content">
-                        <p>Drag & drop MIDI files here</p>
+                        <p>Drag & drop MIDI, .mpcpattern or .mpcsession files here</p>
                         <p>or</p>
                     </div>
                     <button
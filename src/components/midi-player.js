@@ -2,6 +2,11 @@
 import React from 'react';
 import * as Tone from 'tone';
 import { Midi } from '@tonejs/midi';
+import { DrumKit } from '../audio/drum-kit.js';
+import { SoundFontInstrument } from '../audio/soundfont-instrument.js';
+import { PERCUSSION_BANK } from '../audio/soundfont.js';
+import { PadSampler, kitHasSamples } from '../audio/pad-kit.js';
+import { Metronome } from '../audio/metronome.js';
 
 const INSTRUMENT_PROFILES = {
   piano: {
@@ -74,7 +79,13 @@ const INSTRUMENT_PROFILES = {
     },
     volume: -12,
   },
+  // Channel 10 and drum tracks play note numbers as GM drum sounds
   percussion: {
+    drumKit: true,
+    volume: -4,
+  },
+  // Pitched percussion: glockenspiel, marimba, vibraphone, bells
+  mallet: {
     voiceOptions: {
       oscillator: { type: 'square' },
       envelope: { attack: 0.001, decay: 0.09, sustain: 0.0, release: 0.25 },
@@ -95,7 +106,7 @@ const mapProgramToFamily = (program) => {
     return null;
   }
   if (program <= 7) return 'piano';
-  if (program <= 15) return 'percussion';
+  if (program <= 15) return 'mallet';
   if (program <= 23) return 'organ';
   if (program <= 31) return 'guitar';
   if (program <= 39) return 'bass';
@@ -111,18 +122,42 @@ const mapProgramToFamily = (program) => {
   return 'percussion';
 };
 
+// Every player shares Tone.Transport; whoever starts playback stops the previous owner first
+let transportOwner = null;
+
+export const claimTransport = (stop) => {
+  if (transportOwner && transportOwner !== stop) {
+    transportOwner();
+  }
+  transportOwner = stop;
+};
+
+export const releaseTransport = (stop) => {
+  if (transportOwner === stop) {
+    transportOwner = null;
+  }
+};
+
 export class MidiPlayer extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { isPlaying: false };
+    this.state = { isPlaying: false, loop: true };
     this.synth = null;
-    this.timeoutId = null;
+    this.metronome = null;
+    this.frame = null;
     this.midi = null;
     this.loadedBuffer = null;
+    // Song time (seconds) the transport's zero lines up with, and the length played
+    this.regionStart = 0;
+    this.regionDuration = 0;
   }
 
-  playTrack = async () => {
-    const { midiArrayBuffer, trackIndex, toneTrack, toneMidi, track: midiDocTrack } = this.props;
+  /**
+   * Play the track, or the region returned by the getPlaybackRegion prop
+   * ({ notes, loopStart, loopEnd } in ticks), optionally from a tick position
+   */
+  playTrack = async (startTicks = null) => {
+    const { midiArrayBuffer, trackIndex, toneTrack, toneMidi, track: midiDocTrack, notes, tempoMap, timeSignatureMap, getPlaybackRegion } = this.props;
 
     let track = toneTrack || null;
 
@@ -158,73 +193,179 @@ export class MidiPlayer extends React.Component {
       }
     }
 
-    if (!track || !track.notes || track.notes.length === 0) {
+    // Prefer the exported region, then the track's current (possibly edited) notes over the Tone.js copy
+    const region = getPlaybackRegion && tempoMap ? getPlaybackRegion() : null;
+    let playbackNotes;
+    if (region) {
+      playbackNotes = MidiPlayer.toPlaybackNotes(region.notes, tempoMap);
+      this.regionStart = tempoMap.ticksToSeconds(region.loopStart);
+      this.regionDuration = tempoMap.ticksToSeconds(region.loopEnd) - this.regionStart;
+    } else {
+      playbackNotes = notes && tempoMap
+        ? MidiPlayer.toPlaybackNotes(notes, tempoMap)
+        : (track && track.notes) || [];
+      this.regionStart = 0;
+      this.regionDuration = playbackNotes.reduce((max, note) => Math.max(max, (note.time || 0) + (note.duration || 0)), 0);
+    }
+
+    if (playbackNotes.length === 0) {
       console.warn('MidiPlayer: Selected track has no playable notes.');
       return;
     }
 
-    // Ensure previous playback is stopped before starting a new one
+    // Ensure previous playback (here or in another player) is stopped before starting a new one
     this.stopTrack(true);
+    claimTransport(this.stopTrack);
 
     await Tone.start();
     Tone.Transport.stop();
     Tone.Transport.cancel();
     Tone.Transport.position = 0;
 
-  const profile = this.resolveInstrumentProfile(track, midiDocTrack);
-  this.synth = this.createInstrument(profile);
+    this.synth = MidiPlayer.createTrackInstrument(track, midiDocTrack, null, {
+      soundFont: this.props.soundFont,
+      padKit: this.props.padKit,
+      noteMap: this.props.noteMap
+    });
     this.setState({ isPlaying: true });
 
-    const now = Tone.now();
-
-    // Schedule notes for the selected track only
-    track.notes.forEach(note => {
-      const startTime = now + (note.time || 0);
+    // Schedule notes on the transport, relative to the region start, so it can loop and seek
+    const synth = this.synth;
+    playbackNotes.forEach(note => {
       const velocity = typeof note.velocity === 'number'
         ? note.velocity
         : (note.velocity ? parseFloat(note.velocity) : 0.7);
       const duration = Math.max(note.duration || 0, 0.01);
-      this.synth.triggerAttackRelease(note.name, duration, startTime, velocity);
+      Tone.Transport.schedule(time => {
+        synth.triggerAttackRelease(note.name, duration, time, velocity);
+      }, Math.max(0, (note.time || 0) - this.regionStart));
     });
 
-    // Start Tone Transport immediately
-    Tone.Transport.start();
+    // Clicks are always scheduled so the metronome can be switched on while playing
+    if (tempoMap && timeSignatureMap) {
+      this.metronome = new Metronome();
+      this.metronome.schedule(
+        timeSignatureMap,
+        tempoMap.secondsToTicks(this.regionStart),
+        tempoMap.secondsToTicks(this.regionStart + this.regionDuration),
+        ticks => tempoMap.ticksToSeconds(ticks) - this.regionStart,
+        () => Boolean(this.props.metronome)
+      );
+    }
+
+    Tone.Transport.loop = this.state.loop;
+    Tone.Transport.loopStart = 0;
+    Tone.Transport.loopEnd = this.regionDuration;
 
-    // Determine track duration (fallback to max note end time when unavailable)
-    const trackDuration = typeof track.duration === 'number' && !Number.isNaN(track.duration)
-      ? track.duration
-      : track.notes.reduce((max, note) => Math.max(max, (note.time || 0) + (note.duration || 0)), 0);
+    // Only reached when not looping; leave time for the last release
+    Tone.Transport.scheduleOnce(() => this.stopTrack(), this.regionDuration + 0.5);
 
-    // Stop after track duration
-    this.timeoutId = setTimeout(() => {
-      this.stopTrack();
-    }, trackDuration * 1000 + 500);
+    Tone.Transport.start(undefined, this.toTransportSeconds(startTicks));
+    this.updatePosition();
+  };
+
+  /**
+   * Transport position for a song tick position, clamped to the played region
+   */
+  toTransportSeconds = (ticks) => {
+    const { tempoMap } = this.props;
+    if (ticks === null || ticks === undefined || !tempoMap) {
+      return 0;
+    }
+    const seconds = tempoMap.ticksToSeconds(ticks) - this.regionStart;
+    return seconds >= 0 && seconds < this.regionDuration ? seconds : 0;
+  };
+
+  /**
+   * Move playback to a tick position, starting playback there when stopped
+   */
+  seek = (ticks) => {
+    if (!this.state.isPlaying) {
+      this.playTrack(ticks);
+      return;
+    }
+    if (this.synth) {
+      this.synth.releaseAll();
+    }
+    Tone.Transport.seconds = this.toTransportSeconds(ticks);
+  };
+
+  setLoop = (loop) => {
+    this.setState({ loop });
+    if (this.state.isPlaying) {
+      Tone.Transport.loop = loop;
+    }
+  };
+
+  // Report the audible position (in ticks) to the parent once per frame while playing
+  updatePosition = () => {
+    const { tempoMap, onPositionChange } = this.props;
+    if (onPositionChange && tempoMap) {
+      const seconds = Tone.Transport.getSecondsAtTime(Tone.immediate());
+      onPositionChange(tempoMap.secondsToTicks(this.regionStart + Math.min(Math.max(seconds, 0), this.regionDuration)));
+    }
+    this.frame = window.requestAnimationFrame(this.updatePosition);
   };
 
   stopTrack = (keepStateOrEvent = false) => {
     const keepState = keepStateOrEvent === true;
     Tone.Transport.stop();
     Tone.Transport.cancel();
+    Tone.Transport.loop = false;
     Tone.Transport.position = 0;
     if (this.synth) {
       this.synth.releaseAll();
       this.synth.dispose();
       this.synth = null;
     }
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-      this.timeoutId = null;
+    if (this.metronome) {
+      this.metronome.dispose();
+      this.metronome = null;
+    }
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+      if (this.props.onPositionChange) {
+        this.props.onPositionChange(null);
+      }
     }
+    releaseTransport(this.stopTrack);
     if (!keepState) {
       this.setState({ isPlaying: false });
     }
   };
 
+  componentDidUpdate(prevProps) {
+    // A new playback tempo: carry on from the same position at the new tempo
+    if (prevProps.tempoMap && prevProps.tempoMap !== this.props.tempoMap && this.state.isPlaying) {
+      const seconds = Math.max(0, Tone.Transport.getSecondsAtTime(Tone.immediate()));
+      this.playTrack(prevProps.tempoMap.secondsToTicks(this.regionStart + seconds));
+    }
+  }
+
   componentWillUnmount() {
     this.stopTrack();
   }
 
-  resolveInstrumentProfile = (toneTrack, midiDocTrack) => {
+  resolveInstrumentFamily = (trackInfo) => MidiPlayer.resolveInstrumentFamily(trackInfo);
+
+  /**
+   * Convert MidiTrack notes (ticks, 0-127 velocity) to the seconds-based shape
+   * Tone.js plays, following the song's tempo changes
+   */
+  static toPlaybackNotes(notes, tempoMap) {
+    return notes.map(note => {
+      const time = tempoMap.ticksToSeconds(note.time);
+      return {
+        name: Tone.Frequency(note.midi, 'midi').toNote(),
+        time,
+        duration: tempoMap.ticksToSeconds(note.time + note.duration) - time,
+        velocity: note.velocity / 127
+      };
+    });
+  }
+
+  static describeTrack(toneTrack, midiDocTrack) {
     const descriptorParts = [];
     if (toneTrack?.instrument?.family) {
       descriptorParts.push(toneTrack.instrument.family);
@@ -248,11 +389,10 @@ export class MidiPlayer extends React.Component {
       ? toneTrack.instrument.number
       : (typeof midiDocTrack?.instrument === 'number' ? midiDocTrack.instrument : null);
 
-    const family = this.resolveInstrumentFamily({ descriptor, channel, program });
-    return INSTRUMENT_PROFILES[family] || INSTRUMENT_PROFILES.default;
-  };
+    return { descriptor, channel, program };
+  }
 
-  resolveInstrumentFamily = ({ descriptor, channel, program }) => {
+  static resolveInstrumentFamily({ descriptor, channel, program }) {
     const label = descriptor || '';
     const normalizedLabel = label.toLowerCase();
 
@@ -260,6 +400,11 @@ export class MidiPlayer extends React.Component {
       return 'percussion';
     }
 
+    // Tone.js names programs 8-15 "chromatic percussion"; they are pitched
+    if (normalizedLabel.includes('chromatic') || normalizedLabel.includes('glocken') || normalizedLabel.includes('marimba')
+      || normalizedLabel.includes('xylophone') || normalizedLabel.includes('vibraphone') || normalizedLabel.includes('celesta')) {
+      return 'mallet';
+    }
     if (normalizedLabel.includes('drum') || normalizedLabel.includes('percuss')) {
       return 'percussion';
     }
@@ -299,15 +444,79 @@ export class MidiPlayer extends React.Component {
       return programFamily;
     }
     return 'default';
-  };
+  }
+
+  /**
+   * Build the instrument a track plays through, connected to output
+   * (e.g. a mixer channel) or to the speakers. With a SoundFont loaded the
+   * track's GM program (or the percussion kit) is used when the SoundFont has it.
+   * A pad kit with samples takes priority: notes are mapped through noteMap
+   * (the track's export note map) and trigger the pads' one-shots.
+   */
+  static createTrackInstrument(toneTrack, midiDocTrack, output = null, { soundFont = null, padKit = null, noteMap = null } = {}) {
+    if (kitHasSamples(padKit)) {
+      const sampler = new PadSampler(padKit, noteMap);
+      return output ? sampler.connect(output) : sampler.toDestination();
+    }
+
+    const trackInfo = MidiPlayer.describeTrack(toneTrack, midiDocTrack);
+    const family = MidiPlayer.resolveInstrumentFamily(trackInfo);
+
+    const preset = soundFont ? MidiPlayer.findSoundFontPreset(soundFont, trackInfo, family) : null;
+    if (preset) {
+      const instrument = new SoundFontInstrument(soundFont, preset);
+      return output ? instrument.connect(output) : instrument.toDestination();
+    }
+    return MidiPlayer.buildInstrument(INSTRUMENT_PROFILES[family] || INSTRUMENT_PROFILES.default, output);
+  }
 
-  createInstrument = (profile) => {
+  /**
+   * Render notes ({ name, time, duration, velocity }, time in seconds from 0)
+   * to audio without playing them, through the same instrument the track
+   * plays with. Returns { sampleRate, channels: Float32Array[] } (stereo).
+   */
+  static async renderOffline(toneTrack, midiDocTrack, playbackNotes, duration, instrumentOptions = {}) {
+    const rendered = await Tone.Offline(() => {
+      // Created inside the callback so it belongs to the offline context
+      const instrument = MidiPlayer.createTrackInstrument(toneTrack, midiDocTrack, null, instrumentOptions);
+      playbackNotes.forEach(note => {
+        instrument.triggerAttackRelease(note.name, Math.max(note.duration, 0.01), Math.max(0, note.time), note.velocity);
+      });
+    }, duration, 2);
+
+    const audioBuffer = rendered.get();
+    return {
+      sampleRate: audioBuffer.sampleRate,
+      channels: Array.from({ length: audioBuffer.numberOfChannels }, (_, index) => audioBuffer.getChannelData(index).slice())
+    };
+  }
+
+  /**
+   * SoundFont preset for a track: the drum kit for channel 10 and drum tracks,
+   * otherwise the track's GM program (piano when it has none)
+   */
+  static findSoundFontPreset(soundFont, { channel, program }, family) {
+    // Programs 112-127 are pitched percussion and effects with presets of their own
+    const isDrumTrack = channel === 9 || (family === 'percussion' && !(program >= 112));
+    return isDrumTrack
+      ? soundFont.findPreset(PERCUSSION_BANK, 0)
+      : soundFont.findPreset(0, typeof program === 'number' ? program : 0);
+  }
+
+  static buildInstrument(profile, output = null) {
     const voiceOptions = profile.voiceOptions || {};
     const volume = typeof profile.volume === 'number' ? profile.volume : -8;
-    const poly = new Tone.PolySynth(Tone.Synth, voiceOptions).toDestination();
+    const poly = profile.drumKit
+      ? new DrumKit()
+      : new Tone.PolySynth(Tone.Synth, voiceOptions);
+    if (output) {
+      poly.connect(output);
+    } else {
+      poly.toDestination();
+    }
     poly.volume.value = volume;
     return poly;
-  };
+  }
 
   render() {
     return (
@@ -315,7 +524,7 @@ export class MidiPlayer extends React.Component {
         <button
           className="mpc-button midi-play-btn"
           style={{ padding: '8px 16px', background: '#007bff', fontSize: 14 }}
-          onClick={this.playTrack}
+          onClick={() => this.playTrack()}
           disabled={this.state.isPlaying}
         >
           {this.state.isPlaying ? 'Playing...' : 'Play'}
@@ -328,6 +537,16 @@ export class MidiPlayer extends React.Component {
         >
           Stop
         </button>
+        {this.props.getPlaybackRegion && (
+          <label className="loop-toggle" title="Repeat the exported range, so the loop seam can be heard">
+            <input
+              type="checkbox"
+              checked={this.state.loop}
+              onChange={(e) => this.setLoop(e.target.checked)}
+            />
+            Loop
+          </label>
+        )}
       </span>
     );
   }
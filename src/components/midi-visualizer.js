@@ -1,12 +1,164 @@
 /**
  * MIDI Visualizer Component
- * Displays MIDI tracks graphically with div-based rendering and drag selection
+ * Displays MIDI tracks graphically with canvas rendering and drag selection
  */
 
 import React, { Component } from 'react';
+import { BoundaryPolicy } from '../converter/boundary.js';
+import { formatSeconds } from '../midi/tempo-map.js';
+import { Note } from '../midi/midi-utils.js';
+
+// Candidate ruler spacings in seconds, smallest first
+const RULER_STEPS = [0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+const RULER_MIN_SPACING = 60;
+
+// Bar numbers are labelled every 1, 2, 4, ... bars so labels don't overlap
+const BAR_LABEL_MIN_SPACING = 24;
+// Beat lines are hidden when they would be closer than this
+const BEAT_LINE_MIN_SPACING = 6;
+
+// Pixel distance from a selection edge that grabs it for resizing
+const EDGE_GRAB_DISTANCE = 5;
+
+// Horizontal zoom is relative to fitting the whole track in the view
+const MAX_ZOOM = 256;
+// Available note row heights for vertical (pitch) zoom
+const NOTE_HEIGHTS = [2, 3, 4, 6, 8, 12, 16];
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+const MINIMAP_HEIGHT = 36;
+const VELOCITY_LANE_HEIGHT = 64;
+
+// Notes are never drawn narrower than this, so short notes stay visible
+const MIN_NOTE_WIDTH = 2;
+
+const ROLL_COLORS = {
+    background: '#E8E8E0',
+    note: '#000000',
+    preview: '#fd7e14',
+    boundary: '#28a745',
+    wrapped: '#6f42c1',
+    beatLine: '#dcdcd2',
+    barLine: '#b8b8ac',
+    rulerText: '#666666',
+    rulerMark: '#999999',
+    rulerBorder: '#cccccc',
+    tempo: '#dc3545',
+    meter: '#007bff',
+    selected: '#007bff',
+    minimapNote: '#333333',
+    laneBackground: '#F4F4EE',
+    laneGuide: '#dcdcd2',
+    playhead: '#e8590c'
+};
+
+// Note shading from soft (light grey) to loud (black) when coloring by velocity
+const VELOCITY_SHADES = Array.from({ length: 8 }, (_, index) => {
+    const level = Math.round(180 * (1 - (index + 1) / 8));
+    return `rgb(${level}, ${level}, ${level})`;
+});
+
+// One color per MIDI channel when coloring by channel (index 9 is the GM drum channel)
+const CHANNEL_COLORS = [
+    '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f',
+    '#bcbd22', '#17becf', '#393b79', '#637939', '#8c6d31', '#843c39', '#7b4173', '#3182bd'
+];
+
+export const NOTE_COLOR_MODES = [
+    { id: 'velocity', label: 'Velocity' },
+    { id: 'channel', label: 'Channel' },
+    { id: 'plain', label: 'Plain' }
+];
+
+// Velocity given to notes added in the editor until another is chosen
+const DEFAULT_NEW_NOTE_VELOCITY = 100;
+
+/**
+ * Sort notes by start time for range lookups. The longest duration bounds how
+ * far back a note that is still sounding can start.
+ */
+const indexNotes = (notes = []) => ({
+    notes: [...notes].sort((a, b) => a.time - b.time),
+    maxDuration: notes.reduce((max, note) => Math.max(max, note.duration), 0)
+});
+
+/**
+ * Notes from an index that overlap [startTime, endTime], found by binary search
+ */
+const findNotesInRange = (index, startTime, endTime) => {
+    const { notes, maxDuration } = index;
+    const earliest = startTime - maxDuration;
+
+    let low = 0;
+    let high = notes.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (notes[middle].time < earliest) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    const found = [];
+    for (let i = low; i < notes.length && notes[i].time <= endTime; i++) {
+        if (notes[i].time + notes[i].duration >= startTime) {
+            found.push(notes[i]);
+        }
+    }
+    return found;
+};
+
+/**
+ * Fill note rectangles for time-sorted notes, skipping any note hidden behind
+ * notes already drawn on its row. Zoomed out, thousands of notes share a few
+ * pixels, so most of them are never painted. colorOf picks a per-note color;
+ * without it the current fill style is used.
+ */
+const fillNoteRects = (context, notes, toRect, colorOf = null) => {
+    const rowEnds = new Map();
+    let currentColor = null;
+    notes.forEach(note => {
+        const rect = toRect(note);
+        if (!rect) {
+            return;
+        }
+        const right = rect.x + rect.width;
+        const rowEnd = rowEnds.get(note.midi);
+        if (rowEnd !== undefined && right <= rowEnd) {
+            return;
+        }
+        if (colorOf) {
+            const color = colorOf(note);
+            if (color !== currentColor) {
+                context.fillStyle = color;
+                currentColor = color;
+            }
+        }
+        context.fillRect(rect.x, rect.y, rect.width, rect.height);
+        rowEnds.set(note.midi, rowEnd === undefined ? right : Math.max(rowEnd, right));
+    });
+};
+
+/**
+ * Size a canvas to a CSS box, backed by device pixels so lines and text stay
+ * sharp on HiDPI screens. Returns the device pixel ratio used.
+ */
+const sizeCanvas = (canvas, width, height) => {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    const pixelWidth = Math.round(width * ratio);
+    const pixelHeight = Math.round(height * ratio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+    return ratio;
+};
 
 /**
- * MIDI Grid Component - Renders the actual note grid using divs (like the original)
+ * MIDI Grid Component - Draws the visible part of the note grid onto a canvas
+ * sized to the scroll viewport, so dense tracks stay responsive at any zoom
  */
 class MidiGrid extends Component {
     constructor(props) {
@@ -15,6 +167,8 @@ class MidiGrid extends Component {
         this.insetX = 6;
         this.insetY = 4;
         this.noteHeight = 4;
+        this.rulerRowHeight = 15;
+        this.rulerHeight = 2 * this.rulerRowHeight;
         this.scaling = 0.5; // Reduced scaling to fit notes in viewport
         this.dragging = false;
         this.dragStart = 0;
@@ -24,41 +178,79 @@ class MidiGrid extends Component {
         this.height = 0;
         this.width = 0;
         this.selection = null;
+        this.handles = [];
+        this.gridDiv = null;
+        this.canvas = null;
+        this.velocityLane = null;
+        this.velocityCanvas = null;
+        this.frame = null;
+        this.noteIndex = indexNotes();
+        this.previewIndex = indexNotes();
+        this.selectedIndex = indexNotes();
+        this.boundaryIndexes = [];
+        this.lowTime = 0;
+        this.maxPitch = 0;
+        this.zoom = 1;
+        this.gutterWidth = 40;
+        this.minimap = null;
+        this.minimapNotes = null;
+        this.playhead = null;
     }
 
     componentDidMount() {
         this.symbolize();
+
+        if (this.el) {
+            // Non-passive so Ctrl+wheel can zoom instead of scrolling the page
+            this.el.addEventListener('wheel', this.handleWheel, { passive: false });
+            this.el.addEventListener('scroll', this.handleScroll);
+        }
+        // Also picks up devicePixelRatio changes from browser zoom
+        window.addEventListener('resize', this.handleScroll);
+    }
+
+    componentWillUnmount() {
+        if (this.el) {
+            this.el.removeEventListener('wheel', this.handleWheel);
+            this.el.removeEventListener('scroll', this.handleScroll);
+        }
+        window.removeEventListener('resize', this.handleScroll);
+        if (this.frame !== null) {
+            window.cancelAnimationFrame(this.frame);
+        }
     }
 
     componentDidUpdate(prevProps) {
-        if (prevProps.track !== this.props.track || prevProps.converter !== this.props.converter) {
+        if (prevProps.track !== this.props.track
+            || prevProps.notes !== this.props.notes
+            || prevProps.converter !== this.props.converter
+            || prevProps.tempoMap !== this.props.tempoMap
+            || prevProps.timeSignatureMap !== this.props.timeSignatureMap) {
             this.symbolize();
+        } else if (prevProps.previewNotes !== this.props.previewNotes) {
+            this.previewIndex = indexNotes(this.props.previewNotes || []);
+            this.updateBoundaryNotes();
+        } else if (prevProps.boundaryPolicy !== this.props.boundaryPolicy
+            || prevProps.patternLength !== this.props.patternLength) {
+            this.updateBoundaryNotes();
+        }
+
+        if (prevProps.selectedNotes !== this.props.selectedNotes) {
+            this.selectedIndex = indexNotes(this.props.selectedNotes || []);
+            this.scheduleDraw();
+        } else if (prevProps.colorMode !== this.props.colorMode) {
+            this.scheduleDraw();
         }
     }
 
+    /**
+     * Measure the track and build the scrollable layout. The notes themselves
+     * are painted by draw() for whatever part of the grid is in view.
+     */
     symbolize() {
-        console.log("Device Pixel Ratio: " + window.devicePixelRatio);
-        
         const track = this.props.track;
-        
-        // Get the converter's calculated low time, or calculate it ourselves
-        let lowTime = 0;
-        if (this.props.converter && this.props.converter.lowTicks !== undefined) {
-            lowTime = this.props.converter.lowTicks;
-        } else if (track.notes && track.notes.length > 0) {
-            // Calculate minimum time from the track's notes
-            lowTime = Math.min(...track.notes.map(note => note.time));
-        }
-        
         const notes = track.notes;
-        
-        console.log('Visualizer symbolize called with:', {
-            track: track,
-            lowTime: lowTime,
-            notesCount: notes ? notes.length : 0,
-            firstFewNotes: notes ? notes.slice(0, 3) : null
-        });
-        
+
         if (!notes || notes.length === 0) {
             console.log('No notes to visualize');
             return;
@@ -68,94 +260,653 @@ class MidiGrid extends Component {
         let maxTime = -1e8;
         let minPitch = 1e3;
         let maxPitch = -1e3;
-        const noteCount = notes.length;
 
         // Find bounds
-        for (let i = 0; i < noteCount; ++i) {
-            const note = notes[i];
+        notes.forEach(note => {
             if (note.midi < minPitch) minPitch = note.midi;
             if (note.midi > maxPitch) maxPitch = note.midi;
-            
-            const noteStart = note.time;
-            const noteEnd = noteStart + note.duration;
-            if (noteStart < minTime) minTime = noteStart;
-            if (noteEnd > maxTime) maxTime = noteEnd;
-        }
+            if (note.time < minTime) minTime = note.time;
+            if (note.time + note.duration > maxTime) maxTime = note.time + note.duration;
+        });
 
         const pitchRange = maxPitch - minPitch;
         if (maxTime - minTime < 0 || pitchRange < 0) {
             return;
         }
 
-        // Calculate dynamic scaling to fit in a reasonable viewport width
+        // Use the converter's calculated low time so the grid matches the export
+        const lowTime = this.props.converter && this.props.converter.lowTicks !== undefined
+            ? this.props.converter.lowTicks
+            : minTime;
+
+        // Fit the track to the visible width, then apply the zoom level
         const timeRange = maxTime - minTime;
-        const targetWidth = 800; // Target width in pixels
-        this.scaling = targetWidth / timeRange; // Dynamic scaling based on time range
-        
-        console.log(`Time range: ${timeRange}, calculated scaling: ${this.scaling}`);
+        const targetWidth = this.el && this.el.clientWidth
+            ? Math.max(200, this.el.clientWidth - this.gutterWidth - 2 * this.insetX)
+            : 800;
+        this.scaling = targetWidth / timeRange * this.zoom;
 
-        // Clear existing content
-        if (this.el) {
-            this.el.innerHTML = '';
+        this.lowTime = lowTime;
+        this.maxPitch = maxPitch;
+        this.minPitch = minPitch;
+        this.duration = maxTime - lowTime;
+        this.width = Math.round((maxTime - lowTime) * this.scaling + 2 * this.insetX);
+        this.height = Math.round((pitchRange + 1) * this.noteHeight + 2 * this.insetY + this.rulerHeight + 2);
+
+        this.noteIndex = indexNotes(notes);
+        this.previewIndex = indexNotes(this.props.previewNotes || []);
+        this.selectedIndex = indexNotes(this.props.selectedNotes || []);
+
+        if (!this.el) {
+            console.error('Container element not found!');
+            return;
         }
+        this.el.innerHTML = '';
 
+        // The grid div only sets the scroll size; the canvas inside it follows the viewport
         const gridDiv = document.createElement('div');
         gridDiv.className = 'midigrid';
-        
-        console.log("Min time: " + minTime + " " + lowTime);
-
-        // Draw each note
-        for (let i = 0; i < noteCount; ++i) {
-            const note = notes[i];
-            const noteTime = note.time - lowTime;
-            const x = Math.round(noteTime * this.scaling + this.insetX);
-            let width = Math.round(note.duration * this.scaling);
-            
-            // Minimum width for visibility
-            if (width < 2) width = 2;
-            if (width > 50 && this.scaling > 1) width = Math.max(2, width - 1);
-
-            const y = (maxPitch - note.midi) * this.noteHeight + this.insetY;
-            
-            const noteDiv = document.createElement('div');
-            noteDiv.className = 'midiitem';
-            noteDiv.style.left = x + 'px';
-            noteDiv.style.top = y + 'px';
-            noteDiv.style.width = width + 'px';
-            noteDiv.style.height = this.noteHeight + 'px'; // Add explicit height
-            
-            console.log(`Created note div: x=${x}, y=${y}, width=${width}, height=${this.noteHeight}`);
-            
-            gridDiv.appendChild(noteDiv);
-        }
+        gridDiv.style.width = this.width + 'px';
+        gridDiv.style.height = this.height + 'px';
 
-        this.duration = maxTime - lowTime;
-        const totalWidth = Math.round((maxTime - lowTime) * this.scaling + 2 * this.insetX);
-        const totalHeight = Math.round((pitchRange + 1) * this.noteHeight + 2 * this.insetY + 2);
-        
-        this.height = totalHeight;
-        this.width = totalWidth;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'roll-canvas';
+        gridDiv.appendChild(this.canvas);
 
         // Create selection overlay
         this.selection = document.createElement('div');
         this.selection.className = 'selbox';
         gridDiv.appendChild(this.selection);
 
-        gridDiv.style.width = totalWidth + 'px';
-        gridDiv.style.height = totalHeight + 'px';
+        // Edge handles sit outside the translucent selection box so they stay visible
+        this.handles = ['start', 'end'].map(edge => {
+            const handle = document.createElement('div');
+            handle.className = `selhandle ${edge}`;
+            gridDiv.appendChild(handle);
+            return handle;
+        });
+        this.gridDiv = gridDiv;
+
+        const content = document.createElement('div');
+        content.className = 'roll-content';
+        content.appendChild(this.drawKeyboard(minPitch, maxPitch, this.height));
+        content.appendChild(gridDiv);
+        this.el.appendChild(content);
+
+        console.log(`Grid created: ${this.width}x${this.height}px with ${notes.length} notes`);
+
+        this.drawMinimap();
+
+        // Restore the selection overlay after a redraw
+        this.changeSel(this.start, this.end);
+    }
+
+    /**
+     * Piano keyboard along the left edge, one key per pitch row
+     */
+    drawKeyboard(minPitch, maxPitch, height) {
+        const gutter = document.createElement('div');
+        gutter.className = 'keyboard-gutter';
+        gutter.style.width = this.gutterWidth + 'px';
+        gutter.style.height = height + 'px';
+
+        for (let midi = minPitch; midi <= maxPitch; midi++) {
+            const name = `${Note.midiToNoteName(midi)}${Note.midiToOctave(midi)}`;
+            const key = document.createElement('div');
+            key.className = BLACK_KEYS.includes(midi % 12) ? 'piano-key black' : 'piano-key';
+            key.style.top = this.pitchToY(midi) + 'px';
+            key.style.height = this.noteHeight + 'px';
+            key.title = name;
+
+            // Name every key when rows are tall enough, otherwise only the Cs
+            if (this.noteHeight >= 8 || midi % 12 === 0) {
+                key.textContent = name;
+            }
+            gutter.appendChild(key);
+        }
+
+        return gutter;
+    }
+
+    /**
+     * Overview of the whole track below the roll. The notes are drawn once into
+     * a buffer so scrolling only redraws the viewport frame.
+     */
+    drawMinimap() {
+        if (!this.minimap) {
+            return;
+        }
+
+        const width = this.minimap.clientWidth || 800;
+        const height = MINIMAP_HEIGHT;
+        const buffer = document.createElement('canvas');
+        buffer.width = width;
+        buffer.height = height;
+
+        const context = buffer.getContext('2d');
+        context.fillStyle = ROLL_COLORS.background;
+        context.fillRect(0, 0, width, height);
+        context.fillStyle = ROLL_COLORS.minimapNote;
+
+        const xScale = width / this.width;
+        const rowHeight = height / (this.maxPitch - this.minPitch + 1);
+        fillNoteRects(context, this.noteIndex.notes, note => ({
+            x: ((note.time - this.lowTime) * this.scaling + this.insetX) * xScale,
+            y: (this.maxPitch - note.midi) * rowHeight,
+            width: Math.max(1, note.duration * this.scaling * xScale),
+            height: Math.max(1, rowHeight)
+        }));
+
+        this.minimapNotes = buffer;
+        this.minimap.width = width;
+        this.minimap.height = height;
+        this.drawMinimapViewport();
+    }
+
+    drawMinimapViewport = () => {
+        if (!this.minimap || !this.minimapNotes || !this.el) {
+            return;
+        }
+
+        const context = this.minimap.getContext('2d');
+        const xScale = this.minimap.width / this.width;
+        context.drawImage(this.minimapNotes, 0, 0);
+
+        if (this.start !== this.end) {
+            context.fillStyle = 'rgba(128, 128, 128, 0.35)';
+            context.fillRect(
+                this.timeToX(this.start) * xScale,
+                0,
+                (this.timeToX(this.end) - this.timeToX(this.start)) * xScale,
+                this.minimap.height
+            );
+        }
+
+        // The sticky keyboard covers the left of the scroll view
+        const viewWidth = Math.min(this.width, this.el.clientWidth - this.gutterWidth);
+        context.strokeStyle = '#007bff';
+        context.lineWidth = 2;
+        context.strokeRect(
+            this.el.scrollLeft * xScale + 1,
+            1,
+            Math.max(4, viewWidth * xScale - 2),
+            this.minimap.height - 2
+        );
+    };
+
+    handleMinimapMouseDown = (e) => {
+        e.preventDefault();
+
+        const scrollTo = (clientX) => {
+            const rect = this.minimap.getBoundingClientRect();
+            const gridX = (clientX - rect.left) / rect.width * this.width;
+            this.el.scrollLeft = gridX - (this.el.clientWidth - this.gutterWidth) / 2;
+        };
+
+        const handleMouseMove = (moveEvent) => scrollTo(moveEvent.clientX);
+        const handleMouseUp = () => {
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+
+        scrollTo(e.clientX);
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+    };
+
+    // Ctrl+wheel (also sent by trackpad pinch gestures) zooms around the pointer
+    handleWheel = (e) => {
+        if (!e.ctrlKey && !e.metaKey) {
+            return;
+        }
+        e.preventDefault();
+        this.zoomBy(Math.exp(-e.deltaY * 0.002), e.clientX);
+    };
+
+    zoomBy(factor, anchorClientX = null) {
+        this.setZoom(this.zoom * factor, anchorClientX);
+    }
+
+    zoomToFit() {
+        this.setZoom(1);
+    }
 
-        console.log(`Grid created: ${totalWidth}x${totalHeight}px with ${noteCount} notes`);
-        console.log('Grid element:', gridDiv);
+    /**
+     * Change the horizontal zoom, keeping the time under the anchor
+     * (or the middle of the view) in the same place on screen
+     */
+    setZoom(zoom, anchorClientX = null) {
+        const newZoom = Math.max(1, Math.min(MAX_ZOOM, zoom));
+        if (newZoom === this.zoom || !this.el || !this.gridDiv) {
+            return;
+        }
+
+        const viewLeft = this.el.getBoundingClientRect().left + this.gutterWidth;
+        const viewWidth = this.el.clientWidth - this.gutterWidth;
+        const anchorX = anchorClientX !== null ? anchorClientX : viewLeft + viewWidth / 2;
+        const anchorTime = this.xToTime(anchorX - this.bounds().left);
+
+        this.zoom = newZoom;
+        this.symbolize();
+
+        this.el.scrollLeft = this.timeToX(anchorTime) - (anchorX - viewLeft);
+        this.drawMinimapViewport();
+    }
 
+    /**
+     * Step the note row height up (1) or down (-1) for vertical zoom
+     */
+    changeNoteHeight(direction) {
+        const index = NOTE_HEIGHTS.indexOf(this.noteHeight);
+        const next = NOTE_HEIGHTS[Math.max(0, Math.min(NOTE_HEIGHTS.length - 1, index + direction))];
+        if (next === this.noteHeight) {
+            return;
+        }
+
+        const scrollRatio = this.el ? this.el.scrollTop / Math.max(1, this.height) : 0;
+        this.noteHeight = next;
+        this.symbolize();
         if (this.el) {
-            this.el.appendChild(gridDiv);
-            console.log('Grid appended to container:', this.el);
-        } else {
-            console.error('Container element not found!');
+            this.el.scrollTop = scrollRatio * this.height;
+        }
+    }
+
+    // Zoom and scroll position, saved with a session
+    getViewState() {
+        return {
+            zoom: this.zoom,
+            noteHeight: this.noteHeight,
+            scrollLeft: this.el ? this.el.scrollLeft : 0,
+            scrollTop: this.el ? this.el.scrollTop : 0,
+            colorMode: this.props.colorMode
+        };
+    }
+
+    setViewState(view) {
+        this.zoom = Math.max(1, Math.min(MAX_ZOOM, view.zoom || 1));
+        if (NOTE_HEIGHTS.includes(view.noteHeight)) {
+            this.noteHeight = view.noteHeight;
+        }
+        this.symbolize();
+
+        if (this.el) {
+            this.el.scrollLeft = view.scrollLeft || 0;
+            this.el.scrollTop = view.scrollTop || 0;
+        }
+    }
+
+    // Whether a DOM node is part of the note grid (as opposed to the keyboard, minimap or scrollbars)
+    isGridTarget(target) {
+        return Boolean(this.gridDiv && this.gridDiv.contains(target));
+    }
+
+    pitchToY(midi) {
+        return (this.maxPitch - midi) * this.noteHeight + this.insetY + this.rulerHeight;
+    }
+
+    yToPitch(y) {
+        return this.maxPitch - Math.floor((y - this.insetY - this.rulerHeight) / this.noteHeight);
+    }
+
+    noteWidth(note) {
+        let width = Math.max(MIN_NOTE_WIDTH, Math.round(note.duration * this.scaling));
+        if (width > 50 && this.scaling > 1) width = Math.max(MIN_NOTE_WIDTH, width - 1);
+        return width;
+    }
+
+    /**
+     * Topmost note drawn under a point in grid pixels, or null
+     */
+    findNoteAt(x, y) {
+        const pitch = this.yToPitch(y);
+        const candidates = findNotesInRange(this.noteIndex, this.xToTime(x - MIN_NOTE_WIDTH), this.xToTime(x))
+            .filter(note => {
+                const left = this.timeToX(note.time);
+                return note.midi === pitch && x >= left && x <= left + this.noteWidth(note);
+            });
+        return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+    }
+
+    // Whether x is on the grab area at the end of a note, for resizing
+    isNearNoteEnd(note, x) {
+        const width = this.noteWidth(note);
+        return width > 2 * EDGE_GRAB_DISTANCE && x >= this.timeToX(note.time) + width - EDGE_GRAB_DISTANCE;
+    }
+
+    /**
+     * Redraw after notes were changed in place (e.g. while dragging them),
+     * without rebuilding the layout
+     */
+    refreshNotes() {
+        this.noteIndex = indexNotes(this.props.track.notes || []);
+        this.selectedIndex = indexNotes(this.props.selectedNotes || []);
+        this.updateBoundaryNotes();
+    }
+
+    handleScroll = () => {
+        this.scheduleDraw();
+        this.drawMinimapViewport();
+    };
+
+    // Coalesce redraws from scrolling and dragging into one per frame
+    scheduleDraw() {
+        if (this.frame === null) {
+            this.frame = window.requestAnimationFrame(() => {
+                this.frame = null;
+                this.draw();
+            });
+        }
+    }
+
+    /**
+     * Visible rectangle of the grid in grid pixels. The sticky keyboard
+     * covers exactly the width the grid is offset by.
+     */
+    getViewport() {
+        const left = this.el.scrollLeft;
+        const top = Math.max(0, this.el.scrollTop - this.gridDiv.offsetTop);
+        const right = Math.min(this.width, this.el.scrollLeft + this.el.clientWidth - this.gridDiv.offsetLeft);
+        const bottom = Math.min(this.height, this.el.scrollTop + this.el.clientHeight - this.gridDiv.offsetTop);
+
+        return {
+            x: Math.floor(left),
+            y: Math.floor(top),
+            width: Math.ceil(right - left),
+            height: Math.ceil(bottom - top)
+        };
+    }
+
+    /**
+     * Paint the visible part of the grid: bar and beat lines, notes,
+     * quantize preview, exported notes and the ruler
+     */
+    draw() {
+        if (!this.canvas || !this.el || !this.gridDiv) {
+            return;
+        }
+
+        const view = this.getViewport();
+        if (view.width <= 0 || view.height <= 0) {
+            return;
+        }
+
+        const canvas = this.canvas;
+        canvas.style.left = view.x + 'px';
+        canvas.style.top = view.y + 'px';
+        const ratio = sizeCanvas(canvas, view.width, view.height);
+
+        // Draw in grid coordinates from here on
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, -view.x * ratio, -view.y * ratio);
+        context.fillStyle = ROLL_COLORS.background;
+        context.fillRect(view.x, view.y, view.width, view.height);
+
+        const trackEnd = this.lowTime + this.duration;
+        const startTime = Math.max(this.lowTime, this.xToTime(view.x));
+        const endTime = Math.min(trackEnd, this.xToTime(view.x + view.width));
+
+        this.drawGridLines(context, startTime, endTime, view);
+
+        const noteRect = (note) => {
+            const y = this.pitchToY(note.midi);
+            if (y + this.noteHeight < view.y || y > view.y + view.height) {
+                return null;
+            }
+            return { x: this.timeToX(note.time), y, width: this.noteWidth(note), height: this.noteHeight };
+        };
+        const drawLayer = (index, color) => {
+            context.fillStyle = color;
+            fillNoteRects(context, findNotesInRange(index, startTime, endTime), noteRect);
+        };
+
+        fillNoteRects(context, findNotesInRange(this.noteIndex, startTime, endTime), noteRect, note => this.noteColor(note));
+
+        // Quantize preview on top of the original notes
+        context.globalAlpha = 0.7;
+        drawLayer(this.previewIndex, ROLL_COLORS.preview);
+        context.globalAlpha = 1;
+
+        this.boundaryIndexes.forEach(({ index, color }) => drawLayer(index, color));
+
+        // Notes selected in the editor go on top
+        drawLayer(this.selectedIndex, ROLL_COLORS.selected);
+
+        this.drawRuler(context, view);
+        this.drawPlayhead(context, view.y, view.height);
+        this.drawVelocityLane(view, startTime, endTime);
+    }
+
+    drawPlayhead(context, top, height) {
+        if (this.playhead === null) {
+            return;
+        }
+        context.fillStyle = ROLL_COLORS.playhead;
+        context.fillRect(Math.round(this.timeToX(this.playhead)) - 1, top, 2, height);
+    }
+
+    /**
+     * Move the playback position marker (ticks, or null to hide it). While
+     * following, the roll scrolls a page when the marker leaves the view.
+     */
+    setPlayhead(ticks, follow = false) {
+        this.playhead = ticks;
+
+        if (follow && ticks !== null && this.el) {
+            const view = this.getViewport();
+            const x = this.timeToX(ticks);
+            if (x < view.x || x > view.x + view.width) {
+                this.el.scrollLeft = Math.max(0, x - view.width / 8);
+            }
+        }
+        this.scheduleDraw();
+    }
+
+    // Whether a grid y position is on the bar/time ruler
+    isRulerY(y) {
+        return y >= 0 && y < this.rulerHeight;
+    }
+
+    // Fill color of a note for the current color mode
+    noteColor(note) {
+        if (this.props.colorMode === 'channel') {
+            return CHANNEL_COLORS[(note.channel || 0) % CHANNEL_COLORS.length];
+        }
+        if (this.props.colorMode === 'velocity') {
+            const shade = Math.floor(note.velocity / 128 * VELOCITY_SHADES.length);
+            return VELOCITY_SHADES[Math.max(0, Math.min(VELOCITY_SHADES.length - 1, shade))];
+        }
+        return ROLL_COLORS.note;
+    }
+
+    /**
+     * Velocity stems under the roll, one per note start, lined up with the grid's visible columns
+     */
+    drawVelocityLane(view, startTime, endTime) {
+        const canvas = this.velocityCanvas;
+        if (!canvas) {
+            return;
+        }
+
+        const height = VELOCITY_LANE_HEIGHT;
+        canvas.style.left = (this.gridDiv.offsetLeft + this.gridDiv.clientLeft) + 'px';
+        const ratio = sizeCanvas(canvas, view.width, height);
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, -view.x * ratio, 0);
+        context.fillStyle = ROLL_COLORS.laneBackground;
+        context.fillRect(view.x, 0, view.width, height);
+        context.fillStyle = ROLL_COLORS.laneGuide;
+        context.fillRect(view.x, Math.round(height - this.velocityToHeight(64)), view.width, 1);
+
+        const selected = new Set(this.props.selectedNotes || []);
+        findNotesInRange(this.noteIndex, startTime, endTime)
+            .filter(note => note.time >= startTime)
+            .forEach(note => {
+                const x = this.timeToX(note.time);
+                const stemHeight = Math.max(1, Math.round(this.velocityToHeight(note.velocity)));
+                context.fillStyle = selected.has(note) ? ROLL_COLORS.selected : this.noteColor(note);
+                context.fillRect(x, height - stemHeight, 1, stemHeight);
+                context.fillRect(x - 1, height - stemHeight - 1, 3, 3);
+            });
+
+        this.drawPlayhead(context, 0, height);
+    }
+
+    velocityToHeight(velocity) {
+        return (VELOCITY_LANE_HEIGHT - 4) * velocity / 127;
+    }
+
+    // Grid x for a pointer position over the velocity lane
+    velocityLaneX(clientX) {
+        return clientX - this.velocityCanvas.getBoundingClientRect().left + this.getViewport().x;
+    }
+
+    // Velocity for a pointer position over the velocity lane
+    velocityAtClientY(clientY) {
+        const y = clientY - this.velocityCanvas.getBoundingClientRect().top;
+        const velocity = Math.round(127 * (VELOCITY_LANE_HEIGHT - y) / (VELOCITY_LANE_HEIGHT - 4));
+        return Math.max(1, Math.min(127, velocity));
+    }
+
+    /**
+     * Notes whose velocity stems lie between two grid x positions, for drawing velocities
+     */
+    findStemsBetween(x1, x2) {
+        const left = Math.min(x1, x2) - 2;
+        const right = Math.max(x1, x2) + 2;
+        return findNotesInRange(this.noteIndex, this.xToTime(left), this.xToTime(right))
+            .filter(note => {
+                const x = this.timeToX(note.time);
+                return x >= left && x <= right;
+            });
+    }
+
+    isVelocityLaneTarget(target) {
+        return Boolean(this.velocityLane && this.velocityLane.contains(target));
+    }
+
+    /**
+     * Draw vertical bar and beat lines behind the notes, following the time signature map
+     */
+    drawGridLines(context, startTime, endTime, view) {
+        const signatures = this.props.timeSignatureMap;
+        if (!signatures) {
+            return;
+        }
+
+        const top = Math.max(view.y, this.rulerHeight);
+        const height = view.y + view.height - top;
+        if (height <= 0) {
+            return;
+        }
+
+        const drawLines = (lines, color) => {
+            context.fillStyle = color;
+            lines.forEach(line => context.fillRect(this.timeToX(line.ticks), top, 1, height));
+        };
+
+        if (signatures.getTicksPerBeat(startTime) * this.scaling >= BEAT_LINE_MIN_SPACING) {
+            drawLines(signatures.getBeatLines(startTime, endTime), ROLL_COLORS.beatLine);
+        }
+        drawLines(signatures.getBarLines(startTime, endTime), ROLL_COLORS.barLine);
+    }
+
+    /**
+     * Draw the ruler along the top of the grid: bar numbers from the time
+     * signature map, then time in seconds following the tempo map
+     */
+    drawRuler(context, view) {
+        if (view.y >= this.rulerHeight) {
+            return;
+        }
+
+        // Start a label's width early so marks just off screen keep their text
+        const startTime = Math.max(this.lowTime, this.xToTime(view.x - RULER_MIN_SPACING));
+        const endTime = Math.min(this.lowTime + this.duration, this.xToTime(view.x + view.width));
+
+        context.font = '9px sans-serif';
+        context.textBaseline = 'middle';
+        context.fillStyle = ROLL_COLORS.background;
+        context.fillRect(view.x, 0, view.width, this.rulerHeight);
+
+        context.fillStyle = ROLL_COLORS.rulerBorder;
+        [1, 2].forEach(row => context.fillRect(view.x, row * this.rulerRowHeight - 1, view.width, 1));
+
+        this.drawBarRow(context, startTime, endTime);
+        this.drawTimeRow(context, startTime, endTime);
+    }
+
+    drawRulerMark(context, ticks, row, text, color = ROLL_COLORS.rulerText, lineColor = ROLL_COLORS.rulerMark) {
+        const x = this.timeToX(ticks);
+        const top = row * this.rulerRowHeight;
+        context.fillStyle = lineColor;
+        context.fillRect(x, top, 1, this.rulerRowHeight - 1);
+        context.fillStyle = color;
+        context.fillText(text, x + 3, top + this.rulerRowHeight / 2);
+    }
+
+    drawBarRow(context, startTime, endTime) {
+        const signatures = this.props.timeSignatureMap;
+        if (!signatures) {
+            return;
+        }
+
+        const barWidth = signatures.getTicksPerBar(this.lowTime) * this.scaling;
+        let labelEvery = 1;
+        while (barWidth * labelEvery < BAR_LABEL_MIN_SPACING) {
+            labelEvery *= 2;
         }
+
+        // Bars where the meter changes are always labelled, with the new signature
+        const meterChanges = new Map(signatures.signatures
+            .filter(signature => signature.ticks > 0)
+            .map(signature => [signature.bar + 1, `${signature.numerator}/${signature.denominator}`]));
+
+        signatures.getBarLines(startTime, endTime).forEach(line => {
+            const meter = meterChanges.get(line.bar);
+            if (meter) {
+                this.drawRulerMark(context, line.ticks, 0, `${line.bar} (${meter})`, ROLL_COLORS.meter, ROLL_COLORS.meter);
+            } else if ((line.bar - 1) % labelEvery === 0) {
+                this.drawRulerMark(context, line.ticks, 0, String(line.bar));
+            }
+        });
+    }
+
+    drawTimeRow(context, startTime, endTime) {
+        const tempoMap = this.props.tempoMap;
+        if (!tempoMap) {
+            return;
+        }
+
+        // Pick the mark spacing from the whole track so it doesn't change while scrolling
+        const trackSeconds = tempoMap.ticksToSeconds(this.lowTime + this.duration) - tempoMap.ticksToSeconds(this.lowTime);
+        const maxMarks = Math.max(1, Math.floor(this.duration * this.scaling / RULER_MIN_SPACING));
+        const step = RULER_STEPS.find(candidate => trackSeconds / candidate <= maxMarks)
+            || RULER_STEPS[RULER_STEPS.length - 1];
+        const decimals = step < 1 ? 2 : 0;
+
+        const startSeconds = tempoMap.ticksToSeconds(startTime);
+        const endSeconds = tempoMap.ticksToSeconds(endTime);
+        for (let seconds = Math.ceil(startSeconds / step) * step; seconds <= endSeconds; seconds += step) {
+            this.drawRulerMark(context, tempoMap.secondsToTicks(seconds), 1, formatSeconds(seconds, decimals));
+        }
+
+        tempoMap.getChangesInRange(startTime, endTime).forEach(tempo => {
+            this.drawRulerMark(context, tempo.ticks, 1, `${Math.round(tempo.bpm)} BPM`, ROLL_COLORS.tempo, ROLL_COLORS.tempo);
+        });
     }
 
-    changeSel(start, end) {
+    /**
+     * Move the selection overlay. Times are snapped to the current snap mode
+     * unless snap is false (e.g. while the modifier key is held).
+     */
+    changeSel(start, end, snap = true) {
+        const signatures = this.props.timeSignatureMap;
+        if (snap && signatures && start !== end) {
+            start = signatures.snapTicks(start, this.props.snapMode);
+            end = signatures.snapTicks(end, this.props.snapMode);
+        }
+
         const startX = this.timeToX(start);
         const endX = this.timeToX(end);
         
@@ -168,27 +919,80 @@ class MidiGrid extends Component {
             this.selection.style.top = '0px';
             this.selection.style.height = this.height + 'px';
         }
+
+        this.handles.forEach((handle, index) => {
+            handle.style.display = start === end ? 'none' : 'block';
+            handle.style.left = (index === 0 ? startX : endX) + 'px';
+            handle.style.height = this.height + 'px';
+        });
+
+        this.updateBoundaryNotes();
+        this.drawMinimapViewport();
+    }
+
+    snapTime(time) {
+        const signatures = this.props.timeSignatureMap;
+        return signatures ? signatures.snapTicks(time, this.props.snapMode) : time;
+    }
+
+    // Length of one snap grid step at a time, used as the length of new notes
+    gridStep(time) {
+        const signatures = this.props.timeSignatureMap;
+        return signatures ? signatures.getGridStep(time, this.props.snapMode) : 120; // A 1/16 note at 480 PPQ
+    }
+
+    nudgeTime(time, direction) {
+        const signatures = this.props.timeSignatureMap;
+        return signatures ? signatures.nudgeTicks(time, direction, this.props.snapMode) : time;
+    }
+
+    setCursor(cursor) {
+        if (this.gridDiv) {
+            this.gridDiv.style.cursor = cursor;
+        }
+    }
+
+    /**
+     * Highlight the selected notes after the boundary policy is applied,
+     * so trimmed, dropped and wrapped notes show as they will be exported
+     */
+    updateBoundaryNotes() {
+        this.boundaryIndexes = [];
+
+        if (this.start !== this.end) {
+            const sourceNotes = this.props.previewNotes || this.props.track.notes || [];
+            const loop = this.props.getExportLoop ? this.props.getExportLoop(this.start, this.end) : null;
+            const exportedNotes = BoundaryPolicy.apply(sourceNotes, this.start, this.end, this.props.boundaryPolicy, loop);
+
+            this.boundaryIndexes = [
+                { index: indexNotes(exportedNotes.filter(note => !note.wrapped)), color: ROLL_COLORS.boundary },
+                { index: indexNotes(exportedNotes.filter(note => note.wrapped)), color: ROLL_COLORS.wrapped }
+            ];
+        }
+
+        this.scheduleDraw();
     }
 
     timeToX(time) {
-        // Get the converter's low time for proper offset
-        const lowTime = this.props.converter ? this.props.converter.lowTicks : 0;
-        return Math.round((time - lowTime) * this.scaling) + this.insetX;
+        // Offset by the same low time the notes were drawn from
+        return Math.round((time - this.lowTime) * this.scaling) + this.insetX;
     }
 
     xToTime(x) {
-        // Get the converter's low time for proper offset
-        const lowTime = this.props.converter ? this.props.converter.lowTicks : 0;
-        return ((x - this.insetX) / this.scaling) + lowTime;
+        return ((x - this.insetX) / this.scaling) + this.lowTime;
     }
 
+    // Screen rectangle of the note grid; x offsets from its left edge map to xToTime
     bounds() {
+        if (this.gridDiv) {
+            return this.gridDiv.getBoundingClientRect();
+        }
         return this.el ? this.el.getBoundingClientRect() : { left: 0, top: 0 };
     }
 
     getSelection() {
         // The selection times are already in absolute time coordinates
-        // because timeToX and xToTime handle the lowTicks offset
+        // because timeToX and xToTime handle the low time offset
         return {
             start: this.start,
             end: this.end
@@ -196,62 +1000,277 @@ class MidiGrid extends Component {
     }
 
     render() {
-        return React.createElement('div', {
-            ref: el => this.el = el
-        }, ' ');
+        return React.createElement('div', { className: 'piano-roll' },
+            React.createElement('div', {
+                className: 'roll-scroll',
+                ref: el => this.el = el
+            }, ' '),
+            React.createElement('div', {
+                className: 'velocity-lane',
+                ref: el => this.velocityLane = el,
+                style: { height: VELOCITY_LANE_HEIGHT + 'px' },
+                title: 'Click or drag to set note velocities'
+            },
+                React.createElement('div', {
+                    className: 'velocity-label',
+                    style: { width: this.gutterWidth + 'px' }
+                }, 'Velocity'),
+                React.createElement('canvas', {
+                    className: 'velocity-canvas',
+                    ref: canvas => this.velocityCanvas = canvas
+                })
+            ),
+            React.createElement('canvas', {
+                className: 'roll-minimap',
+                ref: canvas => this.minimap = canvas,
+                onMouseDown: this.handleMinimapMouseDown
+            })
+        );
     }
 }
 
 /**
- * Interactive MIDI Visualizer with drag selection
+ * Interactive MIDI Visualizer with drag selection and note editing.
+ * The Range tool selects the export range; the Edit tool selects, moves,
+ * resizes, adds and deletes notes on the track.
  */
 export class MidiVisualizer extends Component {
     constructor(props) {
         super(props);
         this.plot = null;
+        this.dragging = false;
+        this.newNoteVelocity = DEFAULT_NEW_NOTE_VELOCITY;
+        this.state = {
+            tool: 'range',
+            selectedNotes: [],
+            colorMode: 'velocity'
+        };
+    }
+
+    componentDidUpdate() {
+        // Drop selected notes that are no longer on the track (e.g. after reverting edits)
+        const { selectedNotes } = this.state;
+        if (selectedNotes.length > 0) {
+            const notes = new Set(this.props.track.notes);
+            if (selectedNotes.some(note => !notes.has(note))) {
+                this.setState({ selectedNotes: selectedNotes.filter(note => notes.has(note)) });
+            }
+        }
     }
 
     handleMouseDown = (e) => {
-        this.beginDrag(e);
+        if (this.plot && this.plot.isVelocityLaneTarget(e.target)) {
+            this.beginVelocityDraw(e);
+            return;
+        }
+        // Only drags that start on the note grid change the selection
+        if (!this.plot || !this.plot.isGridTarget(e.target)) {
+            return;
+        }
+        const bounds = this.plot.bounds();
+        if (this.props.onSeek && this.plot.isRulerY(e.clientY - bounds.top)) {
+            // Clicking the ruler moves playback there
+            this.props.onSeek(Math.max(0, Math.round(this.plot.xToTime(e.clientX - bounds.left))));
+            return;
+        }
+        if (this.state.tool === 'edit') {
+            this.beginNoteDrag(e);
+        } else {
+            this.beginDrag(e);
+        }
+    };
+
+    handleMouseMove = (e) => {
+        if (!this.plot || this.dragging || !this.plot.isGridTarget(e.target)) {
+            return;
+        }
+
+        const bounds = this.plot.bounds();
+        const x = e.clientX - bounds.left;
+
+        if (this.props.onSeek && this.plot.isRulerY(e.clientY - bounds.top)) {
+            this.plot.setCursor('pointer');
+            return;
+        }
+
+        if (this.state.tool === 'edit') {
+            const note = this.plot.findNoteAt(x, e.clientY - bounds.top);
+            this.plot.setCursor(!note ? 'crosshair' : (this.plot.isNearNoteEnd(note, x) ? 'ew-resize' : 'move'));
+            return;
+        }
+
+        const mode = this.getDragMode(x);
+        const cursors = { 'resize-start': 'ew-resize', 'resize-end': 'ew-resize', move: 'move' };
+        this.plot.setCursor(cursors[mode] || 'default');
+    };
+
+    // Double-clicking empty space with the Edit tool adds a note there
+    handleDoubleClick = (e) => {
+        if (!this.plot || this.state.tool !== 'edit' || !this.plot.isGridTarget(e.target)) {
+            return;
+        }
+
+        const bounds = this.plot.bounds();
+        const x = e.clientX - bounds.left;
+        const y = e.clientY - bounds.top;
+        if (this.plot.findNoteAt(x, y)) {
+            return;
+        }
+
+        const rawTime = Math.max(0, this.plot.xToTime(x));
+        const time = Math.round(e.altKey ? rawTime : this.plot.snapTime(rawTime));
+        const duration = Math.round(this.plot.gridStep(time));
+        const { track } = this.props;
+        const note = track.addNote({
+            midi: this.plot.yToPitch(y),
+            velocity: this.newNoteVelocity,
+            time,
+            duration,
+            ticks: time,
+            durationTicks: duration,
+            channel: track.channel
+        });
+        this.commitNoteEdits([note]);
+    };
+
+    /**
+     * Arrow keys move the selection by one grid step; with Shift they move its end.
+     * With the Edit tool they move the selected notes instead (up/down by a semitone,
+     * or an octave with Shift), and Delete removes them.
+     */
+    handleKeyDown = (e) => {
+        // Leave typing in the toolbar's velocity field alone
+        if (!this.plot || e.target.tagName === 'INPUT') {
+            return;
+        }
+
+        if (this.state.tool === 'edit' && this.state.selectedNotes.length > 0) {
+            this.handleNoteKeyDown(e);
+            return;
+        }
+
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') {
+            return;
+        }
+
+        const { start, end } = this.plot.getSelection();
+        if (start === end) {
+            return;
+        }
+
+        e.preventDefault();
+        const direction = e.key === 'ArrowRight' ? 1 : -1;
+
+        if (e.shiftKey) {
+            const newEnd = this.plot.nudgeTime(end, direction);
+            if (newEnd <= start) {
+                return;
+            }
+            this.plot.changeSel(start, newEnd, false);
+        } else {
+            const newStart = this.plot.nudgeTime(start, direction);
+            this.plot.changeSel(newStart, newStart + (end - start), false);
+        }
+
+        this.notifySelection();
     };
 
+    handleNoteKeyDown(e) {
+        const { track } = this.props;
+        const { selectedNotes } = this.state;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.deleteSelectedNotes();
+        } else if (e.key === 'Escape') {
+            this.setState({ selectedNotes: [] });
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const step = (e.key === 'ArrowUp' ? 1 : -1) * (e.shiftKey ? 12 : 1);
+            selectedNotes.forEach(note => track.updateNote(note, { midi: note.midi + step }));
+            this.commitNoteEdits(selectedNotes);
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            const direction = e.key === 'ArrowRight' ? 1 : -1;
+            // Step the earliest note along the grid and keep the others in place relative to it
+            const first = selectedNotes.reduce((earliest, note) => (note.time < earliest.time ? note : earliest));
+            const delta = Math.max(this.plot.nudgeTime(first.time, direction), 0) - first.time;
+            selectedNotes.forEach(note => track.updateNote(note, { time: note.time + delta }));
+            this.commitNoteEdits(selectedNotes);
+        }
+    }
+
+    /**
+     * Decide what a drag starting at x does: resize an edge, move the selection or start a new one
+     */
+    getDragMode(x) {
+        const { start, end } = this.plot.getSelection();
+        if (start === end) {
+            return 'create';
+        }
+
+        const startX = this.plot.timeToX(start);
+        const endX = this.plot.timeToX(end);
+
+        if (Math.abs(x - startX) <= EDGE_GRAB_DISTANCE) {
+            return 'resize-start';
+        }
+        if (Math.abs(x - endX) <= EDGE_GRAB_DISTANCE) {
+            return 'resize-end';
+        }
+        if (x > startX && x < endX) {
+            return 'move';
+        }
+        return 'create';
+    }
+
+    notifySelection() {
+        if (this.props.onTimeRangeSelect) {
+            this.props.onTimeRangeSelect(this.plot.getSelection());
+        }
+    }
+
     beginDrag(e) {
         const self = this;
         const bounds = this.plot.bounds();
-        let isDragging = false;
-        let startTime = 0;
-        let endTime = 0;
+        const mode = this.getDragMode(e.clientX - bounds.left);
+        const original = this.plot.getSelection();
+        const anchorTime = this.plot.xToTime(e.clientX - bounds.left);
+        let moved = false;
 
         const handleMouseMove = (e) => {
-            if (isDragging) {
-                const x = e.clientX - bounds.left;
-                endTime = self.plot.xToTime(x);
-                
-                let selStart = startTime;
-                let selEnd = endTime;
-                
-                if (endTime < startTime) {
-                    selStart = endTime;
-                    selEnd = startTime;
+            const time = self.plot.xToTime(e.clientX - bounds.left);
+            // Holding Alt temporarily disables snapping
+            const snap = !e.altKey;
+            moved = true;
+
+            if (mode === 'move') {
+                // Keep the length and snap the start
+                let start = Math.max(0, original.start + time - anchorTime);
+                if (snap) {
+                    start = self.plot.snapTime(start);
                 }
-                
-                self.plot.changeSel(selStart, selEnd);
+                self.plot.changeSel(start, start + (original.end - original.start), false);
+            } else if (mode === 'resize-start' || mode === 'resize-end') {
+                const fixed = mode === 'resize-start' ? original.end : original.start;
+                const edge = snap ? self.plot.snapTime(time) : time;
+                self.plot.changeSel(Math.min(fixed, edge), Math.max(fixed, edge), false);
+            } else {
+                self.plot.changeSel(Math.min(anchorTime, time), Math.max(anchorTime, time), snap);
             }
         };
 
-        const handleMouseUp = (e) => {
-            isDragging = false;
-            
-            // If no drag occurred, clear selection
-            if (startTime === endTime) {
+        const handleMouseUp = () => {
+            self.dragging = false;
+
+            // A click without dragging, or a drag that snapped to nothing, clears the selection
+            const selection = self.plot.getSelection();
+            if ((mode === 'create' && !moved) || selection.start === selection.end) {
                 self.plot.changeSel(0, 0);
             }
-            
+
             // Notify parent of selection change
-            if (self.props.onTimeRangeSelect) {
-                const selection = self.plot.getSelection();
-                self.props.onTimeRangeSelect(selection);
-            }
+            self.notifySelection();
 
             // Remove event listeners
             window.removeEventListener('mousemove', handleMouseMove);
@@ -260,34 +1279,303 @@ export class MidiVisualizer extends Component {
             window.removeEventListener('touchend', handleMouseUp);
         };
 
-        // Initialize drag
-        const startDrag = (e) => {
-            const x = e.clientX - bounds.left;
-            startTime = self.plot.xToTime(x);
-            endTime = startTime;
-            isDragging = true;
-
-            window.addEventListener('mousemove', handleMouseMove);
-            window.addEventListener('touchmove', handleMouseMove);
-            window.addEventListener('mouseup', handleMouseUp);
-            window.addEventListener('touchend', handleMouseUp);
+        this.dragging = true;
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('touchmove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+        window.addEventListener('touchend', handleMouseUp);
+    }
+
+    /**
+     * Edit tool drag: click a note to select it (Shift adds to the selection),
+     * drag its body to move the selected notes or its end to resize them.
+     * The clicked note snaps to the grid and the others keep their offsets.
+     */
+    beginNoteDrag(e) {
+        const self = this;
+        const { track } = this.props;
+        const bounds = this.plot.bounds();
+        const x = e.clientX - bounds.left;
+        const y = e.clientY - bounds.top;
+        const target = this.plot.findNoteAt(x, y);
+
+        if (!target) {
+            if (!e.shiftKey) {
+                this.setState({ selectedNotes: [] });
+            }
+            return;
+        }
+
+        let selectedNotes = this.state.selectedNotes;
+        if (e.shiftKey) {
+            selectedNotes = selectedNotes.includes(target)
+                ? selectedNotes.filter(note => note !== target)
+                : [...selectedNotes, target];
+            this.setState({ selectedNotes });
+            return;
+        }
+        if (!selectedNotes.includes(target)) {
+            selectedNotes = [target];
+            this.setState({ selectedNotes });
+        }
+        this.newNoteVelocity = target.velocity;
+
+        const mode = this.plot.isNearNoteEnd(target, x) ? 'resize' : 'move';
+        const originals = selectedNotes.map(note => ({
+            note,
+            time: note.time,
+            duration: note.duration,
+            midi: note.midi
+        }));
+        const targetOriginal = originals.find(original => original.note === target);
+        const earliest = Math.min(...originals.map(original => original.time));
+        const anchorTime = this.plot.xToTime(x);
+        const anchorPitch = this.plot.yToPitch(y);
+        let moved = false;
+
+        const handleMouseMove = (e) => {
+            const delta = self.plot.xToTime(e.clientX - bounds.left) - anchorTime;
+            // Holding Alt temporarily disables snapping
+            const snap = !e.altKey;
+            moved = true;
+
+            if (mode === 'move') {
+                let time = Math.max(0, targetOriginal.time + delta);
+                if (snap) {
+                    time = self.plot.snapTime(time);
+                }
+                // Keep every note at or after the start of the track
+                const timeDelta = Math.max(time - targetOriginal.time, -earliest);
+                const pitchDelta = self.plot.yToPitch(e.clientY - bounds.top) - anchorPitch;
+
+                originals.forEach(original => track.updateNote(original.note, {
+                    time: original.time + timeDelta,
+                    midi: original.midi + pitchDelta
+                }));
+            } else {
+                let end = targetOriginal.time + targetOriginal.duration + delta;
+                if (snap) {
+                    end = self.plot.snapTime(end);
+                }
+                if (end <= targetOriginal.time) {
+                    end = targetOriginal.time + (snap ? self.plot.gridStep(targetOriginal.time) : 1);
+                }
+                const durationDelta = end - (targetOriginal.time + targetOriginal.duration);
+
+                originals.forEach(original => track.updateNote(original.note, {
+                    duration: original.duration + durationDelta
+                }));
+            }
+
+            self.plot.refreshNotes();
+        };
+
+        const handleMouseUp = () => {
+            self.dragging = false;
+
+            if (moved) {
+                self.commitNoteEdits(selectedNotes);
+            }
+
+            window.removeEventListener('mousemove', handleMouseMove);
+            window.removeEventListener('mouseup', handleMouseUp);
         };
 
-        startDrag(e);
+        this.dragging = true;
+        window.addEventListener('mousemove', handleMouseMove);
+        window.addEventListener('mouseup', handleMouseUp);
+    }
+
+    /**
+     * Velocity lane drag: set the velocity of every stem the pointer passes
+     * over to the pointer height. With the Edit tool and a note selection,
+     * only the selected notes are changed.
+     */
+    beginVelocityDraw(e) {
+        const self = this;
+        const { track } = this.props;
+        const { tool, selectedNotes } = this.state;
+        const onlySelected = tool === 'edit' && selectedNotes.length > 0 ? new Set(selectedNotes) : null;
+        let lastX = this.plot.velocityLaneX(e.clientX);
+        let edited = false;
+
+        const paint = (e) => {
+            const x = self.plot.velocityLaneX(e.clientX);
+            const velocity = self.plot.velocityAtClientY(e.clientY);
+            const notes = self.plot.findStemsBetween(lastX, x)
+                .filter(note => !onlySelected || onlySelected.has(note));
+            lastX = x;
+
+            if (notes.length > 0) {
+                notes.forEach(note => track.updateNote(note, { velocity }));
+                self.newNoteVelocity = velocity;
+                edited = true;
+                self.plot.refreshNotes();
+            }
+        };
+
+        const handleMouseUp = () => {
+            self.dragging = false;
+
+            if (edited) {
+                self.commitNoteEdits();
+            }
+
+            window.removeEventListener('mousemove', paint);
+            window.removeEventListener('mouseup', handleMouseUp);
+        };
+
+        e.preventDefault();
+        this.dragging = true;
+        paint(e);
+        window.addEventListener('mousemove', paint);
+        window.addEventListener('mouseup', handleMouseUp);
+    }
+
+    /**
+     * Finish an edit: replace the track's note list so the grid, stats and
+     * export settings pick up the change, then tell the parent
+     */
+    commitNoteEdits(selectedNotes = this.state.selectedNotes) {
+        const { track } = this.props;
+        track.commitEdits();
+        this.setState({ selectedNotes });
+
+        if (this.props.onNotesChange) {
+            this.props.onNotesChange(track.notes);
+        }
+    }
+
+    deleteSelectedNotes = () => {
+        this.props.track.removeNotes(this.state.selectedNotes);
+        this.commitNoteEdits([]);
+    };
+
+    setSelectedVelocity = (value) => {
+        const velocity = Number.parseInt(value, 10);
+        if (Number.isNaN(velocity)) {
+            return;
+        }
+
+        this.newNoteVelocity = Math.max(1, Math.min(127, velocity));
+        this.state.selectedNotes.forEach(note => this.props.track.updateNote(note, { velocity }));
+        this.commitNoteEdits();
+    };
+
+    setTool(tool) {
+        this.setState({ tool, selectedNotes: [] });
+        if (this.plot) {
+            this.plot.setCursor('default');
+        }
+    }
+
+    /**
+     * Set the selection from outside (e.g. clearing it), without snapping
+     */
+    setSelection(range) {
+        if (this.plot) {
+            this.plot.changeSel(range.start, range.end, false);
+        }
     }
 
     getSelectedTimes() {
         return this.plot ? this.plot.getSelection() : { start: 0, end: 0 };
     }
 
+    getViewState() {
+        return this.plot ? this.plot.getViewState() : null;
+    }
+
+    setPlayhead(ticks, follow = false) {
+        if (this.plot) {
+            this.plot.setPlayhead(ticks, follow);
+        }
+    }
+
+    setViewState(view) {
+        if (this.plot && view) {
+            this.plot.setViewState(view);
+            if (NOTE_COLOR_MODES.some(mode => mode.id === view.colorMode)) {
+                this.setState({ colorMode: view.colorMode });
+            }
+        }
+    }
+
+    renderToolbar() {
+        const { tool, selectedNotes } = this.state;
+        const button = (label, title, onClick, className = 'roll-button') => React.createElement('button', {
+            key: label,
+            className,
+            title,
+            onClick: () => this.plot && onClick(this.plot)
+        }, label);
+        const toolButton = (id, label, title) => button(label, title, () => this.setTool(id),
+            tool === id ? 'roll-button active' : 'roll-button');
+
+        const children = [
+            toolButton('range', 'Range', 'Drag to select the export range'),
+            toolButton('edit', 'Edit', 'Click notes to select, drag to move or resize, double-click to add, Delete to remove'),
+            React.createElement('span', { key: 'tool-gap', className: 'roll-toolbar-gap' }),
+            button('−', 'Zoom out (Ctrl+wheel)', plot => plot.zoomBy(0.5)),
+            button('+', 'Zoom in (Ctrl+wheel)', plot => plot.zoomBy(2)),
+            button('Fit', 'Fit the whole track', plot => plot.zoomToFit()),
+            button('Pitch −', 'Shorter note rows', plot => plot.changeNoteHeight(-1)),
+            button('Pitch +', 'Taller note rows', plot => plot.changeNoteHeight(1)),
+            React.createElement('span', { key: 'color-gap', className: 'roll-toolbar-gap' }),
+            React.createElement('label', { key: 'color', className: 'roll-color-mode' },
+                'Color ',
+                React.createElement('select', {
+                    value: this.state.colorMode,
+                    onChange: (e) => this.setState({ colorMode: e.target.value })
+                }, NOTE_COLOR_MODES.map(mode => React.createElement('option', {
+                    key: mode.id,
+                    value: mode.id
+                }, mode.label)))
+            )
+        ];
+
+        if (tool === 'edit' && selectedNotes.length > 0) {
+            children.push(
+                React.createElement('span', { key: 'edit-gap', className: 'roll-toolbar-gap' }),
+                React.createElement('label', { key: 'velocity', className: 'roll-velocity' },
+                    `${selectedNotes.length} selected, velocity `,
+                    React.createElement('input', {
+                        type: 'number',
+                        min: 1,
+                        max: 127,
+                        value: selectedNotes[0].velocity,
+                        onChange: (e) => this.setSelectedVelocity(e.target.value)
+                    })
+                ),
+                button('Delete', 'Delete the selected notes (Delete key)', () => this.deleteSelectedNotes())
+            );
+        }
+
+        return React.createElement('div', { className: 'roll-toolbar' }, ...children);
+    }
+
     render() {
         return React.createElement('div', {
             onMouseDown: this.handleMouseDown,
+            onMouseMove: this.handleMouseMove,
+            onDoubleClick: this.handleDoubleClick,
+            onKeyDown: this.handleKeyDown,
+            tabIndex: 0,
             className: 'midi-visualizer'
-        }, React.createElement(MidiGrid, {
+        }, this.renderToolbar(), React.createElement(MidiGrid, {
             ref: plot => this.plot = plot,
             track: this.props.track,
-            converter: this.props.converter
+            notes: this.props.track.notes,
+            selectedNotes: this.state.selectedNotes,
+            colorMode: this.state.colorMode,
+            converter: this.props.converter,
+            previewNotes: this.props.previewNotes,
+            boundaryPolicy: this.props.boundaryPolicy,
+            patternLength: this.props.patternLength,
+            getExportLoop: this.props.getExportLoop,
+            tempoMap: this.props.tempoMap,
+            timeSignatureMap: this.props.timeSignatureMap,
+            snapMode: this.props.snapMode
         }));
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,35 @@
+import { MidiVisualizer } from './midi-visualizer.js';
+
+const note = (time, duration) => ({ midi: 60, velocity: 100, time, duration, ticks: time, durationTicks: duration });
+
+/**
+ * The note grid MidiVisualizer renders, built from the props it passes down
+ */
+const renderGrid = (props) => {
+    const element = new MidiVisualizer(props).render();
+    const gridElement = element.props.children[1];
+    const grid = new gridElement.type(gridElement.props);
+    grid.scheduleDraw = () => {};
+    return grid;
+};
+
+describe('MidiVisualizer boundary highlight', () => {
+    test('wraps tails at the pattern loop seam, not the selection end', () => {
+        const getExportLoop = jest.fn(() => ({ start: 0, end: 1440 }));
+        const grid = renderGrid({
+            track: { notes: [note(600, 240), note(1200, 480)] },
+            boundaryPolicy: 'wrap',
+            patternLength: 2880,
+            getExportLoop
+        });
+
+        grid.start = 480;
+        grid.end = 1440;
+        grid.updateBoundaryNotes();
+
+        expect(getExportLoop).toHaveBeenCalledWith(480, 1440);
+        const [kept, wrapped] = grid.boundaryIndexes.map(({ index }) => index.notes.map(({ time, duration }) => [time, duration]));
+        expect(kept).toEqual([[600, 240], [1200, 240]]);
+        expect(wrapped).toEqual([[0, 240]]);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Note Map Editor Component
+ * Editable table mapping a track's note numbers to MPC/Force pads
+ */
+
+import React, { useMemo } from 'react';
+import { NOTE_MAP_PRESETS, NoteMapper, DEFAULT_NOTE_MAP_OPTIONS } from '../converter/note-map.js';
+import { Note, getGeneralMidiDrumName } from '../midi/midi-utils.js';
+
+const formatNote = (midiNumber) => `${Note.midiToNoteName(midiNumber)}${Note.midiToOctave(midiNumber)}`;
+
+export const NoteMapEditor = ({
+    notes = [],
+    options = DEFAULT_NOTE_MAP_OPTIONS,
+    suggestedPreset = null,
+    onChange = () => {}
+}) => {
+    // Only list the note numbers the track actually uses
+    const sourceNotes = useMemo(() => {
+        const used = new Set(notes.map(note => note.midi));
+        return [...used].sort((a, b) => a - b);
+    }, [notes]);
+
+    const map = options.map || {};
+    const showSuggestion = suggestedPreset && options.preset !== suggestedPreset;
+
+    const handlePresetChange = (presetId) => {
+        if (presetId === 'custom') {
+            // Start a custom map from whatever is currently mapped
+            onChange({ preset: 'custom', map: { ...map } });
+            return;
+        }
+        onChange(NoteMapper.fromPreset(presetId));
+    };
+
+    const handleTargetChange = (sourceNote, value) => {
+        const nextMap = { ...map };
+        const target = Number.parseInt(value, 10);
+
+        if (value === '' || Number.isNaN(target)) {
+            delete nextMap[sourceNote];
+        } else {
+            nextMap[sourceNote] = Math.max(0, Math.min(127, target));
+        }
+
+        onChange({ preset: 'custom', map: nextMap });
+    };
+
+    return (
+        <div className="note-map-editor">
+            <div className="export-option-group">
+                <span className="export-option-title">Note Map</span>
+                <label className="export-option">
+                    Preset
+                    <select
+                        value={options.preset}
+                        onChange={(e) => handlePresetChange(e.target.value)}
+                    >
+                        {NOTE_MAP_PRESETS.map(preset => (
+                            <option key={preset.id} value={preset.id}>{preset.label}</option>
+                        ))}
+                        <option value="custom">Custom</option>
+                    </select>
+                </label>
+
+                {showSuggestion && (
+                    <span className="note-map-suggestion">
+                        This looks like a drum track.
+                        <button
+                            className="clear-selection-button"
+                            onClick={() => handlePresetChange(suggestedPreset)}
+                        >
+                            Use {NoteMapper.getPreset(suggestedPreset).label}
+                        </button>
+                    </span>
+                )}
+            </div>
+
+            {options.preset !== 'none' && (
+                <table className="note-map-table">
+                    <thead>
+                        <tr>
+                            <th>Source</th>
+                            <th>GM Drum</th>
+                            <th>Target</th>
+                            <th>Pad</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sourceNotes.map(sourceNote => {
+                            const target = NoteMapper.mapNote(sourceNote, map);
+                            return (
+                                <tr key={sourceNote}>
+                                    <td>{sourceNote} ({formatNote(sourceNote)})</td>
+                                    <td>{getGeneralMidiDrumName(sourceNote)}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="127"
+                                            value={map[sourceNote] ?? ''}
+                                            placeholder={String(sourceNote)}
+                                            onChange={(e) => handleTargetChange(sourceNote, e.target.value)}
+                                        />
+                                        {' '}{formatNote(target)}
+                                    </td>
+                                    <td>{NoteMapper.getPadLabel(options.preset, target)}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
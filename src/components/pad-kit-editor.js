@@ -0,0 +1,268 @@
+/**
+ * Pad Kit Editor Component
+ * 4x4 pad grid for dropping WAV/AIFF one-shots onto pads, choosing each
+ * pad's note, and saving kits in the browser
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import * as Tone from 'tone';
+import {
+    PAD_COUNT,
+    SAMPLE_FILE_PATTERN,
+    createEmptyKit,
+    kitHasSamples,
+    decodeSample,
+    toStoredKit,
+    restoreKit
+} from '../audio/pad-kit.js';
+import { KitStorage } from '../utils/kit-storage.js';
+import { Note } from '../midi/midi-utils.js';
+
+const PADS_PER_ROW = 4;
+
+const formatNote = (midiNumber) => `${Note.midiToNoteName(midiNumber)}${Note.midiToOctave(midiNumber)}`;
+
+// MPC pad names: bank A, pads 1-16
+const padLabel = (index) => `A${String(index + 1).padStart(2, '0')}`;
+
+// Like the MPC, pad 1 is at the bottom left
+const PAD_ORDER = Array.from({ length: PAD_COUNT / PADS_PER_ROW }, (_, row) => row)
+    .reverse()
+    .flatMap(row => Array.from({ length: PADS_PER_ROW }, (_, column) => row * PADS_PER_ROW + column));
+
+const auditionPad = async (pad) => {
+    if (!pad.buffer) {
+        return;
+    }
+    await Tone.start();
+    const player = new Tone.Player(pad.buffer).toDestination();
+    player.onstop = () => player.dispose();
+    player.start();
+};
+
+/**
+ * onChange receives the new kit, or a function from the current kit to the new one
+ */
+export const PadKitEditor = ({
+    kit = createEmptyKit(),
+    onChange = () => {}
+}) => {
+    const [savedKits, setSavedKits] = useState([]);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const refreshSavedKits = useCallback(() => {
+        KitStorage.listKits()
+            .then(setSavedKits)
+            .catch(error => console.warn('Could not list saved kits:', error));
+    }, []);
+
+    useEffect(() => {
+        refreshSavedKits();
+    }, [refreshSavedKits]);
+
+    // Samples decode asynchronously, so pad updates apply to the latest kit
+    const updatePad = (index, changes) => {
+        onChange(current => ({
+            ...current,
+            pads: current.pads.map((pad, padIndex) => (padIndex === index ? { ...pad, ...changes } : pad))
+        }));
+    };
+
+    const loadSample = async (index, file) => {
+        if (!file) {
+            return;
+        }
+        if (!SAMPLE_FILE_PATTERN.test(file.name)) {
+            alert(`${file.name} is not a WAV or AIFF file`);
+            return;
+        }
+
+        try {
+            const data = await file.arrayBuffer();
+            const buffer = await decodeSample(data);
+            updatePad(index, { fileName: file.name, data, buffer });
+        } catch (error) {
+            console.error('Error loading sample:', error);
+            alert(`Error loading ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleDrop = (index, e) => {
+        e.preventDefault();
+        setDropTarget(null);
+        loadSample(index, e.dataTransfer.files && e.dataTransfer.files[0]);
+    };
+
+    const handleFileInput = (index, e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        loadSample(index, file);
+    };
+
+    const handleNoteChange = (index, value) => {
+        const note = Number.parseInt(value, 10);
+        if (!Number.isNaN(note)) {
+            updatePad(index, { note: Math.max(0, Math.min(127, note)) });
+        }
+    };
+
+    const handleSave = async () => {
+        const name = kit.name.trim();
+        if (!name) {
+            alert('Enter a kit name first');
+            return;
+        }
+        try {
+            await KitStorage.saveKit(toStoredKit({ ...kit, name }));
+            onChange({ ...kit, name });
+            refreshSavedKits();
+        } catch (error) {
+            console.error('Error saving kit:', error);
+            alert(`Error saving kit: ${error.message}`);
+        }
+    };
+
+    const handleLoad = async (name) => {
+        if (!name) {
+            return;
+        }
+        try {
+            const stored = await KitStorage.loadKit(name);
+            if (!stored) {
+                throw new Error(`No kit named ${name}`);
+            }
+            onChange(await restoreKit(stored));
+        } catch (error) {
+            console.error('Error loading kit:', error);
+            alert(`Error loading kit: ${error.message}`);
+        }
+    };
+
+    const handleDelete = async () => {
+        const name = kit.name.trim();
+        if (!savedKits.includes(name) || !window.confirm(`Delete the saved kit ${name}?`)) {
+            return;
+        }
+        try {
+            await KitStorage.deleteKit(name);
+            refreshSavedKits();
+        } catch (error) {
+            console.error('Error deleting kit:', error);
+            alert(`Error deleting kit: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="pad-kit-editor">
+            <div className="export-option-group">
+                <span className="export-option-title">Pad Kit</span>
+                <label className="export-option">
+                    Name
+                    <input
+                        type="text"
+                        value={kit.name}
+                        placeholder="My Kit"
+                        onChange={(e) => onChange({ ...kit, name: e.target.value })}
+                    />
+                </label>
+                <button className="clear-selection-button" onClick={handleSave}>
+                    Save Kit
+                </button>
+                <label className="export-option">
+                    Load
+                    <select value="" onChange={(e) => handleLoad(e.target.value)} disabled={savedKits.length === 0}>
+                        <option value="">{savedKits.length === 0 ? 'No saved kits' : 'Choose...'}</option>
+                        {savedKits.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    className="clear-selection-button"
+                    onClick={handleDelete}
+                    disabled={!savedKits.includes(kit.name.trim())}
+                >
+                    Delete
+                </button>
+                <button
+                    className="clear-selection-button"
+                    onClick={() => onChange(createEmptyKit())}
+                    disabled={!kitHasSamples(kit)}
+                >
+                    Clear Pads
+                </button>
+            </div>
+
+            <p className="pad-kit-hint">
+                Drop WAV or AIFF one-shots onto the pads, then turn on Pads in a track header to play the track through the kit.
+                Notes go through the note map of the track first, as in the export.
+            </p>
+
+            <div className="pad-grid">
+                {PAD_ORDER.map(index => {
+                    const pad = kit.pads[index];
+                    const classNames = ['pad'];
+                    if (pad.buffer) {
+                        classNames.push('loaded');
+                    }
+                    if (dropTarget === index) {
+                        classNames.push('drop-target');
+                    }
+
+                    return (
+                        <div
+                            key={index}
+                            className={classNames.join(' ')}
+                            onDragOver={(e) => {
+                                e.preventDefault();
+                                setDropTarget(index);
+                            }}
+                            onDragLeave={() => setDropTarget(null)}
+                            onDrop={(e) => handleDrop(index, e)}
+                        >
+                            <div className="pad-header">
+                                <span className="pad-label">{padLabel(index)}</span>
+                                <label className="pad-note" title="MIDI note that triggers this pad">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="127"
+                                        value={pad.note}
+                                        onChange={(e) => handleNoteChange(index, e.target.value)}
+                                    />
+                                    {formatNote(pad.note)}
+                                </label>
+                            </div>
+                            <button
+                                className="pad-sample"
+                                title={pad.buffer ? 'Play this sample' : 'Drop a sample here'}
+                                onClick={() => auditionPad(pad)}
+                                disabled={!pad.buffer}
+                            >
+                                {pad.fileName || 'Empty'}
+                            </button>
+                            <div className="pad-actions">
+                                <label className="pad-file" title="Choose a WAV or AIFF file for this pad">
+                                    Load
+                                    <input
+                                        type="file"
+                                        accept=".wav,.wave,.aif,.aiff,.aifc"
+                                        onChange={(e) => handleFileInput(index, e)}
+                                    />
+                                </label>
+                                {pad.buffer && (
+                                    <button
+                                        className="pad-clear"
+                                        onClick={() => updatePad(index, { fileName: null, data: null, buffer: null })}
+                                    >
+                                        Clear
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,96 @@
+/**
+ * Selection Inputs Component
+ * Start/end fields for typing an exact selection as bar:beat:tick or seconds
+ */
+
+import React, { useState, useEffect } from 'react';
+
+const FORMAT_HINT = 'Enter bar:beat:tick (e.g. 5:1:000) or seconds (e.g. 12.5s)';
+
+export const SelectionInputs = ({
+    range,
+    bounds,
+    formatPosition,
+    parsePosition,
+    onChange = () => {}
+}) => {
+    const hasSelection = range.start !== range.end;
+    const [startText, setStartText] = useState('');
+    const [endText, setEndText] = useState('');
+    const [error, setError] = useState(null);
+
+    // Follow selection changes made on the timeline
+    const resetText = () => {
+        setStartText(hasSelection ? formatPosition(range.start) : '');
+        setEndText(hasSelection ? formatPosition(range.end) : '');
+        setError(null);
+    };
+
+    useEffect(resetText, [range.start, range.end]);
+
+    const commit = () => {
+        if (!startText.trim() && !endText.trim()) {
+            return;
+        }
+
+        // A missing field defaults to the start or end of the track
+        const start = startText.trim() ? parsePosition(startText) : bounds.start;
+        const end = endText.trim() ? parsePosition(endText) : bounds.end;
+
+        if (start === null || end === null) {
+            setError(FORMAT_HINT);
+            return;
+        }
+        if (start < bounds.start || end > bounds.end) {
+            setError(`The selection must lie between ${formatPosition(bounds.start)} and ${formatPosition(bounds.end)}`);
+            return;
+        }
+        if (end <= start) {
+            setError('The end must come after the start');
+            return;
+        }
+
+        setError(null);
+        if (start !== range.start || end !== range.end) {
+            onChange({ start, end });
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            commit();
+        } else if (e.key === 'Escape') {
+            resetText();
+        }
+    };
+
+    return (
+        <span className="selection-inputs">
+            <label className="export-option">
+                Start
+                <input
+                    type="text"
+                    value={startText}
+                    placeholder={formatPosition(bounds.start)}
+                    title={FORMAT_HINT}
+                    onChange={(e) => setStartText(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={handleKeyDown}
+                />
+            </label>
+            <label className="export-option">
+                End
+                <input
+                    type="text"
+                    value={endText}
+                    placeholder={formatPosition(bounds.end)}
+                    title={FORMAT_HINT}
+                    onChange={(e) => setEndText(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={handleKeyDown}
+                />
+            </label>
+            {error && <span className="selection-error">{error}</span>}
+        </span>
+    );
+};
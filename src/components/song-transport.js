@@ -0,0 +1,288 @@
+/**
+ * Song Transport
+ * Plays every track in sync through a mixer channel per track, with one
+ * play/stop/position control for the whole song
+ */
+
+import React, { Component } from 'react';
+import * as Tone from 'tone';
+import { MidiPlayer, claimTransport, releaseTransport } from './midi-player.js';
+import { formatSeconds } from '../midi/tempo-map.js';
+import { Metronome } from '../audio/metronome.js';
+
+// pads: play the track through the pad kit instead of its instrument
+export const DEFAULT_TRACK_MIX = { mute: false, solo: false, volume: 0, pads: false };
+
+export const MIN_TRACK_VOLUME = -40;
+export const MAX_TRACK_VOLUME = 6;
+
+export const getTrackMix = (mixer, midiTrackIndex) => ({ ...DEFAULT_TRACK_MIX, ...mixer[midiTrackIndex] });
+
+// Tempo range of the MPC and Force
+export const MIN_PLAYBACK_BPM = 30;
+export const MAX_PLAYBACK_BPM = 300;
+
+const formatBpm = (bpm) => String(Math.round(bpm * 100) / 100);
+
+export class SongTransport extends Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            isPlaying: false,
+            position: 0,
+            bpmText: props.bpm ? formatBpm(props.bpm) : ''
+        };
+        this.channels = new Map();
+        this.instruments = [];
+        this.metronome = null;
+        this.frame = null;
+    }
+
+    componentDidUpdate(prevProps) {
+        if (prevProps.mixer !== this.props.mixer) {
+            this.applyMixer();
+        }
+        if (prevProps.tempoMap !== this.props.tempoMap) {
+            this.handleTempoMapChange(prevProps.tempoMap);
+        }
+        // Follow a tempo set from outside the BPM field (e.g. the File Tempo button)
+        if (prevProps.bpm !== this.props.bpm && Number.parseFloat(this.state.bpmText) !== this.props.bpm) {
+            this.setState({ bpmText: this.props.bpm ? formatBpm(this.props.bpm) : '' });
+        }
+    }
+
+    componentWillUnmount() {
+        this.stop(true);
+    }
+
+    // Song length in seconds, up to the end of the last note of any track
+    getDuration() {
+        const { tracks, tempoMap } = this.props;
+        const endTicks = tracks.reduce((max, { track }) => (track.notes || []).reduce(
+            (trackMax, note) => Math.max(trackMax, note.time + note.duration), max), 0);
+        return tempoMap.ticksToSeconds(endTicks);
+    }
+
+    play = async () => {
+        const { tracks, tempoMap, timeSignatureMap, mixer, soundFont, padKit, getNoteMap } = this.props;
+        const duration = this.getDuration();
+        if (duration <= 0) {
+            return;
+        }
+
+        this.stop(true);
+        claimTransport(this.stop);
+
+        await Tone.start();
+        Tone.Transport.stop();
+        Tone.Transport.cancel();
+        Tone.Transport.loop = false;
+        Tone.Transport.position = 0;
+
+        tracks.forEach(({ track, midiTrackIndex, toneTrack }) => {
+            const channel = new Tone.Channel().toDestination();
+            const usePads = getTrackMix(mixer, midiTrackIndex).pads;
+            const instrument = MidiPlayer.createTrackInstrument(toneTrack, track, channel, {
+                soundFont,
+                padKit: usePads ? padKit : null,
+                noteMap: usePads && getNoteMap ? getNoteMap(midiTrackIndex) : null
+            });
+            this.channels.set(midiTrackIndex, channel);
+            this.instruments.push(instrument);
+
+            MidiPlayer.toPlaybackNotes(track.notes || [], tempoMap).forEach(note => {
+                const noteDuration = Math.max(note.duration, 0.01);
+                Tone.Transport.schedule(time => {
+                    instrument.triggerAttackRelease(note.name, noteDuration, time, note.velocity);
+                }, note.time);
+            });
+        });
+        this.applyMixer();
+
+        // Clicks are always scheduled so the metronome can be switched on while playing
+        this.metronome = new Metronome();
+        this.metronome.schedule(
+            timeSignatureMap,
+            0,
+            tempoMap.secondsToTicks(duration),
+            ticks => tempoMap.ticksToSeconds(ticks),
+            () => Boolean(this.props.metronome)
+        );
+
+        // Leave time for the last release, then rewind
+        Tone.Transport.scheduleOnce(() => {
+            this.stop();
+            this.setState({ position: 0 });
+        }, duration + 0.5);
+
+        const position = this.state.position < duration ? this.state.position : 0;
+        Tone.Transport.start(undefined, position);
+        this.setState({ isPlaying: true });
+        this.updatePosition();
+    };
+
+    /**
+     * Stop playback, keeping the position so Play continues from there
+     */
+    stop = (keepState = false) => {
+        if (this.frame !== null) {
+            window.cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.instruments.length === 0) {
+            return;
+        }
+
+        Tone.Transport.stop();
+        Tone.Transport.cancel();
+        Tone.Transport.position = 0;
+        this.instruments.forEach(instrument => {
+            instrument.releaseAll();
+            instrument.dispose();
+        });
+        this.channels.forEach(channel => channel.dispose());
+        if (this.metronome) {
+            this.metronome.dispose();
+            this.metronome = null;
+        }
+        this.instruments = [];
+        this.channels.clear();
+        releaseTransport(this.stop);
+
+        if (this.props.onPositionChange) {
+            this.props.onPositionChange(null);
+        }
+        if (keepState !== true) {
+            this.setState({ isPlaying: false });
+        }
+    };
+
+    seek = (seconds) => {
+        this.setState({ position: seconds });
+        if (this.state.isPlaying) {
+            this.instruments.forEach(instrument => instrument.releaseAll());
+            Tone.Transport.seconds = seconds;
+        }
+    };
+
+    /**
+     * Keep the song position (in ticks) when the playback tempo changes,
+     * restarting playback at the new tempo
+     */
+    handleTempoMapChange(previousTempoMap) {
+        const { isPlaying } = this.state;
+        const seconds = isPlaying
+            ? Math.max(0, Tone.Transport.getSecondsAtTime(Tone.immediate()))
+            : this.state.position;
+        const position = this.props.tempoMap.ticksToSeconds(previousTempoMap.secondsToTicks(seconds));
+        this.setState({ position }, () => {
+            if (isPlaying) {
+                this.play();
+            }
+        });
+    }
+
+    /**
+     * Apply a typed tempo once it is in range; an empty field plays at the file tempo
+     */
+    handleBpmInput = (text) => {
+        this.setState({ bpmText: text });
+        const bpm = Number.parseFloat(text);
+        if (text.trim() === '') {
+            this.props.onBpmChange(null);
+        } else if (bpm >= MIN_PLAYBACK_BPM && bpm <= MAX_PLAYBACK_BPM) {
+            this.props.onBpmChange(bpm);
+        }
+    };
+
+    // Mute, solo and volume take effect immediately while playing
+    applyMixer() {
+        const { mixer } = this.props;
+        this.channels.forEach((channel, midiTrackIndex) => {
+            const mix = getTrackMix(mixer, midiTrackIndex);
+            channel.volume.value = mix.volume;
+            channel.mute = mix.mute;
+            channel.solo = mix.solo;
+        });
+    }
+
+    updatePosition = () => {
+        const { tempoMap, onPositionChange } = this.props;
+        const position = Math.max(0, Tone.Transport.getSecondsAtTime(Tone.immediate()));
+        this.setState({ position });
+        if (onPositionChange) {
+            onPositionChange(tempoMap.secondsToTicks(position));
+        }
+        this.frame = window.requestAnimationFrame(this.updatePosition);
+    };
+
+    render() {
+        const { tempoMap, timeSignatureMap, fileTempoMap, bpm, metronome, onMetronomeChange } = this.props;
+        const { isPlaying, position, bpmText } = this.state;
+        const duration = this.getDuration();
+
+        return (
+            <div className="song-transport">
+                <button
+                    className="mpc-button"
+                    onClick={this.play}
+                    disabled={isPlaying || duration <= 0}
+                    title="Play every track together"
+                >
+                    {isPlaying ? 'Playing...' : 'Play Song'}
+                </button>
+                <button
+                    className="clear-selection-button"
+                    onClick={this.stop}
+                    disabled={!isPlaying}
+                >
+                    Stop
+                </button>
+                <input
+                    type="range"
+                    className="song-position"
+                    min="0"
+                    max={duration}
+                    step="0.01"
+                    value={Math.min(position, duration)}
+                    onChange={(e) => this.seek(Number.parseFloat(e.target.value))}
+                />
+                <span className="song-position-label">
+                    {timeSignatureMap.formatBarBeat(tempoMap.secondsToTicks(position))}
+                    {' '}({formatSeconds(position)} / {formatSeconds(duration)})
+                </span>
+                <label
+                    className="song-tempo"
+                    title="Play at this tempo instead of the file tempo; exported patterns are not changed"
+                >
+                    BPM
+                    <input
+                        type="number"
+                        min={MIN_PLAYBACK_BPM}
+                        max={MAX_PLAYBACK_BPM}
+                        step="0.1"
+                        value={bpmText}
+                        placeholder={formatBpm(fileTempoMap.getTempoAt(0))}
+                        onChange={(e) => this.handleBpmInput(e.target.value)}
+                    />
+                </label>
+                {bpm && (
+                    <button
+                        className="clear-selection-button"
+                        onClick={() => this.handleBpmInput('')}
+                    >
+                        File Tempo
+                    </button>
+                )}
+                <label className="song-click" title="Click on every beat, accented on the first beat of each bar">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(metronome)}
+                        onChange={(e) => onMetronomeChange(e.target.checked)}
+                    />
+                    Click
+                </label>
+            </div>
+        );
+    }
+}
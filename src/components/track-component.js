@@ -7,26 +7,351 @@ import React, { Component } from 'react';
 import { MidiVisualizer } from './midi-visualizer.js';
 import { MPCConverter } from '../converter/mpc-converter.js';
 import { MidiPlayer } from './midi-player.js';
+import { ExportOptions, DEFAULT_EXPORT_OPTIONS } from './export-options.js';
+import { NoteMapEditor } from './note-map-editor.js';
+import { SelectionInputs } from './selection-inputs.js';
+import { Quantizer } from '../converter/quantizer.js';
+import { NoteMapper } from '../converter/note-map.js';
+import { AutomationConverter } from '../converter/automation.js';
 import { getGeneralMidiInstrumentName } from '../midi/midi-utils.js';
+import { downloadBlob } from '../utils/download-utils.js';
+import { writeZip } from '../utils/zip-writer.js';
+import { formatSeconds } from '../midi/tempo-map.js';
+import { SNAP_MODES, DEFAULT_SNAP_MODE } from '../midi/time-signature-map.js';
+import { MIN_TRACK_VOLUME, MAX_TRACK_VOLUME } from './song-transport.js';
+import { kitHasSamples } from '../audio/pad-kit.js';
+import { writeWav, normalizeChannels, WAV_BIT_DEPTHS } from '../utils/wav-writer.js';
+
+// Bit depth of the WAV, seconds rendered after the last note ends, and peak normalizing
+const DEFAULT_RENDER_OPTIONS = { bitDepth: 16, tail: 2, normalize: true };
+const MAX_RENDER_TAIL = 10;
+const NORMALIZE_PEAK_DB = -0.3;
+
+const formatInstrumentString = (value) => {
+    if (!value || typeof value !== 'string') return '';
+    const cleaned = value.replace(/[_]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!cleaned) return '';
+    return cleaned.replace(/\b\w/g, (char) => char.toUpperCase());
+};
+
+const sanitizeName = (value) => {
+    if (!value || typeof value !== 'string') {
+        return '';
+    }
+    const cleaned = value
+        .replace(/[\u0000-\u001F\u007F]/g, ' ')
+        .replace(/[_]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!cleaned) {
+        return '';
+    }
+    return cleaned;
+};
 
 export class TrackComponent extends Component {
     constructor(props) {
         super(props);
+
+        // Settings restored from a saved session, if any
+        const session = props.sessionState || {};
+        const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...session.exportOptions };
+
         this.state = {
-            selectedRange: { start: 0, end: 0 },
-            isConverting: false
+            selectedRange: session.selectedRange || { start: 0, end: 0 },
+            isConverting: false,
+            exportOptions,
+            previewNotes: this.buildPreviewNotes(exportOptions),
+            sliceBars: session.sliceBars || 4,
+            skipEmptySlices: session.skipEmptySlices !== undefined ? session.skipEmptySlices : true,
+            snapMode: session.snapMode || DEFAULT_SNAP_MODE,
+            renderOptions: { ...DEFAULT_RENDER_OPTIONS, ...session.renderOptions },
+            isRendering: false
         };
         
         this.visualizerRef = React.createRef();
+        this.playerRef = React.createRef();
     }
 
+    componentDidMount() {
+        const session = this.props.sessionState;
+        if (session && this.visualizerRef.current) {
+            this.visualizerRef.current.setViewState(session.view);
+            this.visualizerRef.current.setSelection(this.state.selectedRange);
+        }
+    }
+
+    /**
+     * Everything needed to restore this track from a session file.
+     * Only edited tracks store their notes; the others are read from the source file.
+     */
+    getSessionState = () => {
+        const { track } = this.props;
+        const { exportOptions, sliceBars, skipEmptySlices, snapMode, renderOptions } = this.state;
+        const visualizer = this.visualizerRef.current;
+
+        return {
+            selectedRange: visualizer ? visualizer.getSelectedTimes() : this.state.selectedRange,
+            exportOptions,
+            sliceBars,
+            skipEmptySlices,
+            snapMode,
+            renderOptions,
+            view: visualizer ? visualizer.getViewState() : null,
+            notes: track.hasEdits()
+                ? track.notes.map(({ midi, velocity, time, duration, channel }) => ({ midi, velocity, time, duration, channel }))
+                : null
+        };
+    };
+
     handleTimeRangeSelect = (range) => {
         this.setState({ selectedRange: range });
     };
 
-    handleConvertToMPC = () => {
-    const { track, trackNum, converter, song, midiArrayBuffer } = this.props;
+    handleSelectionInput = (selectedRange) => {
+        if (this.visualizerRef.current) {
+            this.visualizerRef.current.setSelection(selectedRange);
+        }
+        this.setState({ selectedRange });
+    };
+
+    /**
+     * Parse a typed position: plain numbers (optionally ending in "s") are seconds,
+     * anything with colons is bar:beat[:tick]. Returns null when invalid.
+     */
+    parsePosition = (text) => {
+        const { tempoMap, timeSignatureMap } = this.props.song;
+        const seconds = /^\s*(\d+(?:\.\d*)?|\.\d+)\s*s?\s*$/i.exec(text);
+        if (seconds) {
+            return Math.round(tempoMap.secondsToTicks(Number.parseFloat(seconds[1])));
+        }
+        return timeSignatureMap.parseBarBeat(text);
+    };
+
+    /**
+     * Range a typed selection may cover: the track's notes widened to whole bars
+     */
+    getSelectionBounds = (stats) => {
+        const { timeSignatureMap } = this.props.song;
+        const lastBarStart = timeSignatureMap.getBarStartTick(stats.timeRange.end);
+        return {
+            start: timeSignatureMap.getBarStartTick(stats.timeRange.start),
+            end: lastBarStart === stats.timeRange.end
+                ? lastBarStart
+                : timeSignatureMap.getBarTick(timeSignatureMap.getBarIndex(stats.timeRange.end) + 1)
+        };
+    };
+
+    handleClearSelection = () => {
+        const selectedRange = { start: 0, end: 0 };
+        if (this.visualizerRef.current) {
+            this.visualizerRef.current.setSelection(selectedRange);
+        }
+        this.setState({ selectedRange });
+    };
+
+    handleExportOptionsChange = (exportOptions) => {
+        this.setState({
+            exportOptions,
+            previewNotes: this.buildPreviewNotes(exportOptions)
+        });
+    };
+
+    buildPreviewNotes = (exportOptions) => {
+        const { track, song } = this.props;
+        if (!track || !exportOptions.previewQuantize || !Quantizer.isEnabled(exportOptions.quantize)) {
+            return null;
+        }
+
+        const ticksPerQuarter = (song && song.ticksPerQuarter) || 480;
+        return Quantizer.quantizeNotes(track.notes, ticksPerQuarter, exportOptions.quantize);
+    };
+
+    // Notes were edited in the piano roll; refresh everything derived from them
+    handleNotesChange = () => {
+        this.setState({ previewNotes: this.buildPreviewNotes(this.state.exportOptions) });
+    };
+
+    handleRevertEdits = () => {
+        this.props.track.revertEdits();
+        this.handleNotesChange();
+    };
+
+    handleNoteMapChange = (noteMap) => {
+        this.handleExportOptionsChange({ ...this.state.exportOptions, noteMap });
+    };
+
+    getSuggestedNoteMapPreset = () => {
+        const { track, toneTrack } = this.props;
+        const family = MidiPlayer.resolveInstrumentFamily(MidiPlayer.describeTrack(toneTrack, track));
+        return NoteMapper.suggestPreset(track.channel, family);
+    };
+
+    /**
+     * Get the range to export: the current selection, or the whole track when nothing is selected
+     */
+    getExportRange = () => {
+        const { track } = this.props;
         const { selectedRange } = this.state;
+
+        // Get selected time range from visualizer
+        let timeRange = this.visualizerRef.current 
+            ? this.visualizerRef.current.getSelectedTimes()
+            : selectedRange;
+
+        console.log('Time range before processing:', timeRange);
+
+        // If no selection is made (start == end), use the entire track
+        if (timeRange.start === timeRange.end || timeRange.start === 0 && timeRange.end === 0) {
+            // Calculate the full time range of the track
+            let minTime = Infinity;
+            let maxTime = -Infinity;
+            
+            if (track.notes && track.notes.length > 0) {
+                track.notes.forEach(note => {
+                    minTime = Math.min(minTime, note.time);
+                    maxTime = Math.max(maxTime, note.time + note.duration);
+                });
+                
+                timeRange = {
+                    start: minTime === Infinity ? 0 : minTime,
+                    end: maxTime === -Infinity ? 1000 : maxTime
+                };
+            }
+        }
+
+        return timeRange;
+    };
+
+    // Where the exported pattern loops, so the roll shows wrapped tails at the real seam
+    getExportLoop = (start, end) => this.props.converter.getExportLoop(start, end, this.state.exportOptions.length);
+
+    /**
+     * 1-based number of this track in the MIDI file, as the converter counts tracks.
+     * trackNum is the position in the visible list, which skips tracks without notes.
+     */
+    getMidiTrackNumber = () => this.props.midiTrackIndex + 1;
+
+    /**
+     * Notes and loop of the pattern the current selection would export, for the player
+     */
+    getPlaybackRegion = () => {
+        const { converter } = this.props;
+        const timeRange = this.getExportRange();
+        return converter.getPlaybackRegion(this.getMidiTrackNumber(), timeRange.start, timeRange.end, this.state.exportOptions);
+    };
+
+    handlePlaybackPosition = (ticks) => {
+        if (this.visualizerRef.current) {
+            this.visualizerRef.current.setPlayhead(ticks, true);
+        }
+    };
+
+    /**
+     * The note map the export uses, so pad kit playback hits the same pads
+     */
+    getPadNoteMap = () => {
+        const { noteMap } = this.state.exportOptions;
+        return NoteMapper.isEnabled(noteMap) ? noteMap.map : null;
+    };
+
+    // The song tempo, or the tempo override the player and render use
+    getPlaybackTempoMap = () => this.props.playbackTempoMap || this.props.song.tempoMap;
+
+    handleSeek = (ticks) => {
+        if (this.playerRef.current) {
+            this.playerRef.current.seek(ticks);
+        }
+    };
+
+    /**
+     * Mute, solo and volume for this track in song playback, and whether it plays through the pad kit
+     */
+    renderMixer = () => {
+        const { mix, onMixChange, padKit } = this.props;
+        if (!mix || !onMixChange) {
+            return null;
+        }
+
+        return (
+            <div className="track-mixer">
+                <button
+                    className={mix.mute ? 'mixer-button mute active' : 'mixer-button mute'}
+                    title="Mute this track in song playback"
+                    onClick={() => onMixChange({ mute: !mix.mute })}
+                >
+                    M
+                </button>
+                <button
+                    className={mix.solo ? 'mixer-button solo active' : 'mixer-button solo'}
+                    title="Solo this track in song playback"
+                    onClick={() => onMixChange({ solo: !mix.solo })}
+                >
+                    S
+                </button>
+                {kitHasSamples(padKit) && (
+                    <button
+                        className={mix.pads ? 'mixer-button pads active' : 'mixer-button pads'}
+                        title="Play this track through the pad kit"
+                        onClick={() => onMixChange({ pads: !mix.pads })}
+                    >
+                        Pads
+                    </button>
+                )}
+                <label className="mixer-volume" title="Track volume in song playback">
+                    <input
+                        type="range"
+                        min={MIN_TRACK_VOLUME}
+                        max={MAX_TRACK_VOLUME}
+                        step="1"
+                        value={mix.volume}
+                        onChange={(e) => onMixChange({ volume: Number.parseFloat(e.target.value) })}
+                    />
+                    {mix.volume > 0 ? '+' : ''}{mix.volume} dB
+                </label>
+            </div>
+        );
+    };
+
+    /**
+     * Build the MPC pattern for the current selection and export settings
+     */
+    buildPatternExport = () => {
+        const { converter } = this.props;
+        const { exportOptions } = this.state;
+
+        const timeRange = this.getExportRange();
+
+        console.log('Final time range for conversion:', timeRange);
+
+        const tempoWarning = this.getTempoWarning(timeRange);
+        if (tempoWarning) {
+            console.warn(tempoWarning);
+        }
+
+        // Finite-length patterns start on the bar line so they loop on the downbeat
+        const baseTicks = converter.getPatternBaseTicks(timeRange.start, exportOptions.length);
+
+        // Convert track to MPC format
+        const pattern = converter.convertTrackToMPC(
+            this.getMidiTrackNumber(),
+            timeRange.start,
+            timeRange.end,
+            baseTicks,
+            false,
+            exportOptions
+        );
+
+        return {
+            pattern,
+            range: timeRange,
+            baseTicks,
+            noteCount: pattern.pattern.events.filter(event => event.type === 2).length
+        };
+    };
+
+    handleConvertToMPC = () => {
+        const { track, converter, song } = this.props;
         
         if (!track || !converter) {
             console.error('Missing track or converter');
@@ -36,47 +361,12 @@ export class TrackComponent extends Component {
         this.setState({ isConverting: true });
 
         try {
-            // Get selected time range from visualizer
-            let timeRange = this.visualizerRef.current 
-                ? this.visualizerRef.current.getSelectedTimes()
-                : selectedRange;
-
-            console.log('Time range before processing:', timeRange);
-
-            // If no selection is made (start == end), use the entire track
-            if (timeRange.start === timeRange.end || timeRange.start === 0 && timeRange.end === 0) {
-                // Calculate the full time range of the track
-                let minTime = Infinity;
-                let maxTime = -Infinity;
-                
-                if (track.notes && track.notes.length > 0) {
-                    track.notes.forEach(note => {
-                        minTime = Math.min(minTime, note.time);
-                        maxTime = Math.max(maxTime, note.time + note.duration);
-                    });
-                    
-                    timeRange = {
-                        start: minTime === Infinity ? 0 : minTime,
-                        end: maxTime === -Infinity ? 1000 : maxTime
-                    };
-                }
-            }
-
-            console.log('Final time range for conversion:', timeRange);
-
-            // Convert track to MPC format
-            const mpcPattern = converter.convertTrackToMPC(
-                trackNum,
-                timeRange.start,
-                timeRange.end,
-                converter.lowTicks,
-                false
-            );
+            const { pattern } = this.buildPatternExport();
 
             // Create downloadable file
             const { blob, filename } = MPCConverter.createMPCFile(
-                mpcPattern, 
-                trackNum, 
+                pattern, 
+                this.getMidiTrackNumber(), 
                 song.name || 'midi_file'
             );
 
@@ -91,15 +381,111 @@ export class TrackComponent extends Component {
         }
     };
 
+    /**
+     * Render what the player would play (the export range, through the track's
+     * instrument) to a WAV file, with a tail so releases and samples ring out
+     */
+    handleRenderWav = async () => {
+        const { track, toneTrack, song, mix, padKit, soundFont } = this.props;
+        const { renderOptions } = this.state;
+
+        this.setState({ isRendering: true });
+
+        try {
+            const region = this.getPlaybackRegion();
+            if (region.notes.length === 0) {
+                alert('There are no notes to render in the selected range.');
+                return;
+            }
+
+            const tempoMap = this.getPlaybackTempoMap();
+            const regionStart = tempoMap.ticksToSeconds(region.loopStart);
+            const regionDuration = tempoMap.ticksToSeconds(region.loopEnd) - regionStart;
+            const notes = MidiPlayer.toPlaybackNotes(region.notes, tempoMap)
+                .map(note => ({ ...note, time: note.time - regionStart }));
+
+            const { sampleRate, channels } = await MidiPlayer.renderOffline(
+                toneTrack,
+                track,
+                notes,
+                regionDuration + renderOptions.tail,
+                {
+                    soundFont,
+                    padKit: mix && mix.pads ? padKit : null,
+                    noteMap: this.getPadNoteMap()
+                }
+            );
+            if (renderOptions.normalize) {
+                normalizeChannels(channels, NORMALIZE_PEAK_DB);
+            }
+
+            const blob = new Blob([writeWav(channels, sampleRate, renderOptions.bitDepth)], { type: 'audio/wav' });
+            const baseName = song.name ? song.name.split('/').pop().split('.')[0] : 'midi_file';
+            this.downloadFile(blob, `${baseName}_Track_${this.getMidiTrackNumber()}.wav`);
+        } catch (error) {
+            console.error('Error rendering track:', error);
+            alert(`Error rendering track: ${error.message}`);
+        } finally {
+            this.setState({ isRendering: false });
+        }
+    };
+
+    handleRenderOptionChange = (changes) => {
+        this.setState(({ renderOptions }) => ({ renderOptions: { ...renderOptions, ...changes } }));
+    };
+
+    handleSliceToMPC = () => {
+        const { track, converter, song } = this.props;
+        const { exportOptions, sliceBars, skipEmptySlices } = this.state;
+
+        if (!track || !converter) {
+            console.error('Missing track or converter');
+            return;
+        }
+
+        this.setState({ isConverting: true });
+
+        try {
+            const timeRange = this.getExportRange();
+            const slices = converter.sliceTrackToMPC(
+                this.getMidiTrackNumber(),
+                timeRange.start,
+                timeRange.end,
+                sliceBars,
+                exportOptions,
+                skipEmptySlices
+            );
+
+            if (slices.length === 0) {
+                alert('No slices contain notes in the selected range.');
+                return;
+            }
+
+            // One archive instead of a download per slice
+            const trackNumber = this.getMidiTrackNumber();
+            const entries = slices.map(slice => ({
+                name: MPCConverter.getMPCFilename(
+                    trackNumber,
+                    song.name || 'midi_file',
+                    `_Bars_${slice.startBar}-${slice.endBar}`
+                ),
+                data: MPCConverter.exportMPCPattern(slice.pattern)
+            }));
+
+            const baseName = song.name ? song.name.split('/').pop().split('.')[0] : 'midi_file';
+            const blob = new Blob([writeZip(entries)], { type: 'application/zip' });
+            this.downloadFile(blob, `${baseName}_Track_${trackNumber}_slices.zip`);
+
+        } catch (error) {
+            console.error('Error slicing track:', error);
+            alert(`Error slicing track: ${error.message}`);
+        } finally {
+            this.setState({ isConverting: false });
+        }
+    };
+
     downloadFile = (blob, filename) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, filename);
     };
 
     getTrackStats = () => {
@@ -138,57 +524,40 @@ export class TrackComponent extends Component {
         return `${noteName}${octave}`;
     };
 
-    formatTime = (ticks, ticksPerQuarter = 480) => {
-        const seconds = (ticks / ticksPerQuarter / 2); // Assuming 120 BPM
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = (seconds % 60).toFixed(1);
-        return `${minutes}:${remainingSeconds.padStart(4, '0')}`;
+    // Absolute position of a tick, following the song's tempo changes
+    formatTime = (ticks) => {
+        return formatSeconds(this.props.song.tempoMap.ticksToSeconds(ticks));
     };
 
-    render() {
-    const { track, trackNum, song, toneTrack, toneMidi } = this.props;
-        const { selectedRange, isConverting } = this.state;
-        
-        console.log(`Rendering track ${trackNum}:`, track);
-        
-        if (!track) {
-            return (
-                <div className="track-component empty">
-                    <h3>Track {trackNum}</h3>
-                    <p>No track data available</p>
-                </div>
-            );
-        }
-
-    const stats = this.getTrackStats();
-    const hasSelection = selectedRange.start !== selectedRange.end;
-    // Fix: get midiArrayBuffer from props
-    const { midiArrayBuffer } = this.props;
+    // Musical position of a tick as bar:beat:tick, following time signature changes
+    formatPosition = (ticks) => {
+        return this.props.song.timeSignatureMap.formatBarBeat(ticks);
+    };
 
-    const toneInstrument = toneTrack && toneTrack.instrument ? toneTrack.instrument : null;
-    const formatInstrumentString = (value) => {
-        if (!value || typeof value !== 'string') return '';
-        const cleaned = value.replace(/[_]+/g, ' ').replace(/\s+/g, ' ').trim();
-        if (!cleaned) return '';
-        return cleaned.replace(/\b\w/g, (char) => char.toUpperCase());
+    formatDuration = (startTicks, endTicks) => {
+        const { tempoMap } = this.props.song;
+        return formatSeconds(tempoMap.ticksToSeconds(endTicks) - tempoMap.ticksToSeconds(startTicks));
     };
 
-    const sanitizeName = (value) => {
-        if (!value || typeof value !== 'string') {
-            return '';
+    /**
+     * Describe tempo changes inside a range, which a single-tempo MPC pattern cannot follow
+     */
+    getTempoWarning = (range) => {
+        const { tempoMap } = this.props.song;
+        const changes = tempoMap.getChangesInRange(range.start, range.end);
+        if (changes.length === 0) {
+            return null;
         }
-        const cleaned = value
-            .replace(/[\u0000-\u001F\u007F]/g, ' ')
-            .replace(/[_]+/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        if (!cleaned) {
-            return '';
-        }
-        return cleaned;
+
+        const tempoList = [tempoMap.getTempoAt(range.start), ...changes.map(tempo => tempo.bpm)]
+            .map(bpm => Math.round(bpm))
+            .join(' → ');
+        return `The export range spans ${changes.length === 1 ? 'a tempo change' : `${changes.length} tempo changes`} (${tempoList} BPM). MPC patterns play at a single tempo, so timing after the change will not match the original.`;
     };
 
-    const formatTrackDisplayName = () => {
+    getDisplayTrackName = () => {
+        const { track, toneTrack } = this.props;
+
         const primary = sanitizeName(track.name);
         if (primary) {
             return primary;
@@ -202,24 +571,63 @@ export class TrackComponent extends Component {
         return '';
     };
 
-    const displayTrackName = formatTrackDisplayName();
+    getInstrumentLabel = () => {
+        const { track, toneTrack } = this.props;
+        const toneInstrument = toneTrack && toneTrack.instrument ? toneTrack.instrument : null;
+
+        const toneInstrumentName = toneInstrument
+            ? formatInstrumentString(toneInstrument.name || toneInstrument.family)
+            : '';
 
-    const toneInstrumentName = toneInstrument
-        ? formatInstrumentString(toneInstrument.name || toneInstrument.family)
-        : '';
+        const programNumber = typeof track.instrument === 'number'
+            ? track.instrument
+            : (toneInstrument && typeof toneInstrument.number === 'number' ? toneInstrument.number : null);
 
-    const programNumber = typeof track.instrument === 'number'
-        ? track.instrument
-        : (toneInstrument && typeof toneInstrument.number === 'number' ? toneInstrument.number : null);
+        const programInstrumentName = typeof programNumber === 'number'
+            ? getGeneralMidiInstrumentName(programNumber)
+            : '';
 
-    const programInstrumentName = typeof programNumber === 'number'
-        ? getGeneralMidiInstrumentName(programNumber)
-        : '';
+        return track.instrumentName
+            || toneInstrumentName
+            || programInstrumentName
+            || '';
+    };
 
-    const instrumentLabel = track.instrumentName
-        || toneInstrumentName
-        || programInstrumentName
-        || '';
+    render() {
+    const { track, trackNum, song, toneTrack, toneMidi } = this.props;
+        const {
+            selectedRange,
+            isConverting,
+            exportOptions,
+            previewNotes,
+            sliceBars,
+            skipEmptySlices,
+            snapMode,
+            renderOptions,
+            isRendering
+        } = this.state;
+        
+        console.log(`Rendering track ${trackNum}:`, track);
+        
+        if (!track) {
+            return (
+                <div className="track-component empty">
+                    <h3>Track {trackNum}</h3>
+                    <p>No track data available</p>
+                </div>
+            );
+        }
+
+    const stats = this.getTrackStats();
+    const hasSelection = selectedRange.start !== selectedRange.end;
+    const tempoWarning = stats && stats.noteCount > 0
+        ? this.getTempoWarning(hasSelection ? selectedRange : stats.timeRange)
+        : null;
+    // Fix: get midiArrayBuffer from props
+    const { midiArrayBuffer } = this.props;
+
+    const displayTrackName = this.getDisplayTrackName();
+    const instrumentLabel = this.getInstrumentLabel();
     console.log(`Track ${trackNum} stats:`, stats);
 
         return (
@@ -231,6 +639,7 @@ export class TrackComponent extends Component {
                             <span className="track-name">: {displayTrackName}</span>
                         )}
                     </h3>
+                    {this.renderMixer()}
                     
                     {stats && (
                         <div className="track-stats">
@@ -241,7 +650,7 @@ export class TrackComponent extends Component {
                                         Range: {this.formatNoteName(stats.pitchRange.min)} - {this.formatNoteName(stats.pitchRange.max)}
                                     </span>
                                     <span className="stat">
-                                        Duration: {this.formatTime(stats.timeRange.duration)}
+                                        Duration: {this.formatDuration(stats.timeRange.start, stats.timeRange.end)}
                                     </span>
                                     {track.channel !== undefined && (
                                         <span className="stat">Channel: {track.channel + 1}</span>
@@ -260,20 +669,66 @@ export class TrackComponent extends Component {
                         <MidiVisualizer
                             ref={this.visualizerRef}
                             track={track}
+                            previewNotes={previewNotes}
+                            tempoMap={song.tempoMap}
+                            timeSignatureMap={song.timeSignatureMap}
+                            snapMode={snapMode}
+                            boundaryPolicy={exportOptions.boundary}
+                            patternLength={exportOptions.length}
+                            getExportLoop={this.getExportLoop}
                             onTimeRangeSelect={this.handleTimeRangeSelect}
+                            onNotesChange={this.handleNotesChange}
+                            onSeek={this.handleSeek}
                         />
                         
                         <div className="track-controls">
                             <div className="selection-info">
                                 {hasSelection ? (
                                     <span>
-                                        Selection: {this.formatTime(selectedRange.start)} - {this.formatTime(selectedRange.end)}
-                                        ({this.formatTime(selectedRange.end - selectedRange.start)} duration)
+                                        Selection: {this.formatPosition(selectedRange.start)} - {this.formatPosition(selectedRange.end)}
+                                        {' '}({this.formatTime(selectedRange.start)} - {this.formatTime(selectedRange.end)},
+                                        {' '}{this.formatDuration(selectedRange.start, selectedRange.end)} duration)
                                     </span>
                                 ) : (
                                     <span>Click and drag on the timeline to select a range</span>
                                 )}
+                                <SelectionInputs
+                                    range={selectedRange}
+                                    bounds={this.getSelectionBounds(stats)}
+                                    formatPosition={this.formatPosition}
+                                    parsePosition={this.parsePosition}
+                                    onChange={this.handleSelectionInput}
+                                />
+                                <label className="snap-control">
+                                    Snap
+                                    <select
+                                        value={snapMode}
+                                        onChange={(e) => this.setState({ snapMode: e.target.value })}
+                                    >
+                                        {SNAP_MODES.map(mode => (
+                                            <option key={mode.id} value={mode.id}>{mode.label}</option>
+                                        ))}
+                                    </select>
+                                    (hold Alt while dragging to ignore)
+                                </label>
                             </div>
+
+                            {tempoWarning && (
+                                <div className="tempo-warning">{tempoWarning}</div>
+                            )}
+
+                            <ExportOptions
+                                options={exportOptions}
+                                automationSources={AutomationConverter.listSources(track.controlEvents)}
+                                onChange={this.handleExportOptionsChange}
+                            />
+
+                            <NoteMapEditor
+                                notes={track.notes}
+                                options={exportOptions.noteMap}
+                                suggestedPreset={this.getSuggestedNoteMapPreset()}
+                                onChange={this.handleNoteMapChange}
+                            />
                             
                             <div className="action-buttons">
                                 <button 
@@ -284,20 +739,108 @@ export class TrackComponent extends Component {
                                     {isConverting ? 'Converting...' : '+ MPC Pattern'}
                                 </button>
                                 <MidiPlayer
+                                    ref={this.playerRef}
                                     midiArrayBuffer={midiArrayBuffer}
                                     trackIndex={this.props.midiTrackIndex}
                                     toneTrack={toneTrack}
                                     toneMidi={toneMidi}
                                     track={track}
+                                    notes={track.notes}
+                                    tempoMap={this.getPlaybackTempoMap()}
+                                    timeSignatureMap={song.timeSignatureMap}
+                                    metronome={this.props.metronome}
+                                    soundFont={this.props.soundFont}
+                                    padKit={this.props.mix && this.props.mix.pads ? this.props.padKit : null}
+                                    noteMap={this.getPadNoteMap()}
+                                    getPlaybackRegion={this.getPlaybackRegion}
+                                    onPositionChange={this.handlePlaybackPosition}
                                 />
+                                <span className="slice-controls">
+                                    <button
+                                        className="mpc-button"
+                                        onClick={this.handleSliceToMPC}
+                                        disabled={isConverting || !stats || stats.noteCount === 0}
+                                    >
+                                        Slice
+                                    </button>
+                                    <label>
+                                        into
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            max="64"
+                                            value={sliceBars}
+                                            onChange={(e) => this.setState({
+                                                sliceBars: Math.max(1, Number.parseInt(e.target.value, 10) || 1)
+                                            })}
+                                        />
+                                        bar patterns
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={skipEmptySlices}
+                                            onChange={(e) => this.setState({ skipEmptySlices: e.target.checked })}
+                                        />
+                                        Skip empty
+                                    </label>
+                                </span>
+                                <span className="slice-controls render-controls">
+                                    <button
+                                        className="mpc-button"
+                                        onClick={this.handleRenderWav}
+                                        disabled={isRendering || !stats || stats.noteCount === 0}
+                                        title="Render the export range through the track instrument to a WAV file"
+                                    >
+                                        {isRendering ? 'Rendering...' : 'Render WAV'}
+                                    </button>
+                                    <select
+                                        value={renderOptions.bitDepth}
+                                        onChange={(e) => this.handleRenderOptionChange({ bitDepth: Number.parseInt(e.target.value, 10) })}
+                                    >
+                                        {WAV_BIT_DEPTHS.map(bitDepth => (
+                                            <option key={bitDepth} value={bitDepth}>{bitDepth}-bit</option>
+                                        ))}
+                                    </select>
+                                    <label title="Seconds rendered after the range so notes can ring out">
+                                        Tail
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={MAX_RENDER_TAIL}
+                                            step="0.5"
+                                            value={renderOptions.tail}
+                                            onChange={(e) => this.handleRenderOptionChange({
+                                                tail: Math.max(0, Math.min(MAX_RENDER_TAIL, Number.parseFloat(e.target.value) || 0))
+                                            })}
+                                        />
+                                        s
+                                    </label>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={renderOptions.normalize}
+                                            onChange={(e) => this.handleRenderOptionChange({ normalize: e.target.checked })}
+                                        />
+                                        Normalize
+                                    </label>
+                                </span>
                                 {hasSelection && (
                                     <button
                                         className="clear-selection-button"
-                                        onClick={() => this.setState({ selectedRange: { start: 0, end: 0 } })}
+                                        onClick={this.handleClearSelection}
                                     >
                                         Clear Selection
                                     </button>
                                 )}
+                                {track.hasEdits() && (
+                                    <button
+                                        className="clear-selection-button"
+                                        onClick={this.handleRevertEdits}
+                                    >
+                                        Revert Note Edits
+                                    </button>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -306,6 +849,14 @@ export class TrackComponent extends Component {
                 {stats && stats.noteCount === 0 && (
                     <div className="empty-track">
                         <p>This track contains no notes to convert.</p>
+                        {track.hasEdits() && (
+                            <button
+                                className="clear-selection-button"
+                                onClick={this.handleRevertEdits}
+                            >
+                                Revert Note Edits
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
@@ -339,10 +890,26 @@ export class MidiHeader extends Component {
                         <span className="label">Time Division:</span>
                         <span className="value">{header.ticksPerQuarter || header.timeDivision || 480} ticks per quarter note</span>
                     </div>
+                    {Array.isArray(header.timeSignature) && (
+                        <div className="header-row">
+                            <span className="label">Time Signature:</span>
+                            <span className="value">
+                                {header.timeSignature[0]}/{header.timeSignature[1]}
+                                {Array.isArray(header.timeSignatures) && header.timeSignatures.length > 1 && (
+                                    ` (${header.timeSignatures.length - 1} change${header.timeSignatures.length > 2 ? 's' : ''})`
+                                )}
+                            </span>
+                        </div>
+                    )}
                     {header.tempoBPM && (
                         <div className="header-row">
                             <span className="label">Tempo:</span>
-                            <span className="value">{header.tempoBPM.toFixed ? header.tempoBPM.toFixed(2) : header.tempoBPM} BPM</span>
+                            <span className="value">
+                                {header.tempoBPM.toFixed ? header.tempoBPM.toFixed(2) : header.tempoBPM} BPM
+                                {Array.isArray(header.tempos) && header.tempos.length > 1 && (
+                                    ` (${header.tempos.length - 1} tempo change${header.tempos.length > 2 ? 's' : ''})`
+                                )}
+                            </span>
                         </div>
                     )}
                     {text && (
@@ -0,0 +1,147 @@
+/**
+ * Automation
+ * Converts MIDI controller (CC 0-127) data to MPC pattern events. Pitch bend and
+ * channel pressure have no MPC pattern equivalent and are left out.
+ */
+
+// MPC pattern event type for non-note (controller) events
+export const MPC_CONTROLLER_EVENT_TYPE = 1;
+
+// Controllers already written by the static pattern header events
+export const MPC_HEADER_CONTROLLERS = [0, 32, 130];
+
+const CONTROLLER_NAMES = {
+    0: 'Bank Select',
+    1: 'Mod Wheel',
+    2: 'Breath',
+    4: 'Foot Pedal',
+    5: 'Portamento Time',
+    7: 'Volume',
+    8: 'Balance',
+    10: 'Pan',
+    11: 'Expression',
+    32: 'Bank Select LSB',
+    64: 'Sustain',
+    65: 'Portamento',
+    66: 'Sostenuto',
+    67: 'Soft Pedal',
+    71: 'Resonance',
+    72: 'Release',
+    73: 'Attack',
+    74: 'Filter Cutoff',
+    91: 'Reverb',
+    93: 'Chorus'
+};
+
+export const DEFAULT_AUTOMATION_OPTIONS = {
+    enabled: true,
+    // Bank select duplicates the pattern header events
+    excluded: ['cc:0', 'cc:32']
+};
+
+// Values are written like the header events: whole numbers as "0.0"/"1.0", others trimmed
+const formatValue = (normalized) => {
+    const raw = Number.isInteger(normalized) ? normalized.toFixed(1) : normalized.toString(10);
+    return raw.length > 17 ? raw.substring(0, 17) : raw;
+};
+
+export class AutomationConverter {
+    /**
+     * Stable identifier for the controller a control event belongs to
+     */
+    static getSourceId(controlEvent) {
+        if (controlEvent.kind === 'cc') {
+            return `cc:${controlEvent.controller}`;
+        }
+        return controlEvent.kind;
+    }
+
+    /**
+     * Only control changes can be written to a pattern
+     */
+    static isExportable(controlEvent) {
+        return controlEvent.kind === 'cc' && controlEvent.controller >= 0 && controlEvent.controller <= 127;
+    }
+
+    static getSourceLabel(sourceId) {
+        const controller = Number(sourceId.split(':')[1]);
+        const name = CONTROLLER_NAMES[controller];
+        return name ? `CC ${controller} (${name})` : `CC ${controller}`;
+    }
+
+    /**
+     * List the exportable controllers used by a track with their event counts
+     */
+    static listSources(controlEvents = []) {
+        const counts = new Map();
+        controlEvents.filter(AutomationConverter.isExportable).forEach(controlEvent => {
+            const id = AutomationConverter.getSourceId(controlEvent);
+            counts.set(id, (counts.get(id) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([id, count]) => ({ id, label: AutomationConverter.getSourceLabel(id), count }))
+            .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+    }
+
+    static isIncluded(sourceId, options = DEFAULT_AUTOMATION_OPTIONS) {
+        return Boolean(options.enabled) && !(options.excluded || []).includes(sourceId);
+    }
+
+    /**
+     * Convert a track's control events in [startTime, endTime) to MPC events.
+     * The last value of each controller before the range is carried to the range
+     * start so sweeps begin from the right position.
+     */
+    static convertToMPCEvents(controlEvents, startTime, endTime, baseTicks, midiPPQ, options = DEFAULT_AUTOMATION_OPTIONS) {
+        if (!options || !options.enabled || !Array.isArray(controlEvents)) {
+            return [];
+        }
+
+        const included = controlEvents
+            .filter(controlEvent => AutomationConverter.isExportable(controlEvent)
+                && AutomationConverter.isIncluded(AutomationConverter.getSourceId(controlEvent), options))
+            .sort((a, b) => a.time - b.time);
+
+        const chased = new Map();
+        const inRange = [];
+
+        included.forEach(controlEvent => {
+            if (controlEvent.time < startTime) {
+                chased.set(AutomationConverter.getSourceId(controlEvent), controlEvent);
+            } else if (controlEvent.time < endTime) {
+                inRange.push(controlEvent);
+            }
+        });
+
+        const toEvent = (controlEvent, time) => ({
+            type: MPC_CONTROLLER_EVENT_TYPE,
+            time: Math.round(960 * (time - baseTicks) / midiPPQ),
+            len: 0,
+            "1": controlEvent.controller,
+            "2": formatValue(controlEvent.value / 127),
+            "3": 0,
+            mod: 0,
+            modVal: '0.0'
+        });
+
+        return [
+            ...[...chased.values()].map(controlEvent => toEvent(controlEvent, startTime)),
+            ...inRange.map(controlEvent => toEvent(controlEvent, controlEvent.time))
+        ];
+    }
+
+    /**
+     * Convert an MPC controller event back to a MIDI control event
+     */
+    static fromMPCEvent(event, channel = 0) {
+        const controller = Number(event['1']);
+        const normalized = Math.max(0, Math.min(1, Number.parseFloat(event['2']) || 0));
+        const time = Math.max(0, Math.round(Number(event.time) || 0));
+
+        if (controller >= 0 && controller <= 127) {
+            return { kind: 'cc', controller, value: Math.round(normalized * 127), time, channel };
+        }
+        return null;
+    }
+}
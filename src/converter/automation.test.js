@@ -0,0 +1,68 @@
+import { AutomationConverter, MPC_CONTROLLER_EVENT_TYPE } from './automation.js';
+
+const cc = (controller, value, time) => ({ kind: 'cc', controller, value, time, channel: 0 });
+
+const ALL = { enabled: true, excluded: [] };
+
+describe('AutomationConverter.convertToMPCEvents', () => {
+    test('writes controller events with the same fields as the pattern header events', () => {
+        const [event] = AutomationConverter.convertToMPCEvents([cc(1, 127, 480)], 0, 1920, 0, 480, ALL);
+        expect(event).toEqual({
+            type: MPC_CONTROLLER_EVENT_TYPE,
+            time: 960,
+            len: 0,
+            1: 1,
+            2: '1.0',
+            3: 0,
+            mod: 0,
+            modVal: '0.0'
+        });
+    });
+
+    test('times events from the pattern start in 960 PPQ ticks', () => {
+        const events = AutomationConverter.convertToMPCEvents([cc(74, 0, 1920), cc(74, 64, 2160)], 1920, 3840, 1920, 480, ALL);
+        expect(events.map(event => [event.time, event['2']])).toEqual([[0, '0.0'], [480, '0.503937007874015']]);
+    });
+
+    test('carries the last value before the range to the range start', () => {
+        const events = AutomationConverter.convertToMPCEvents(
+            [cc(7, 20, 0), cc(7, 90, 240), cc(10, 64, 2000), cc(7, 100, 3840)],
+            480, 3840, 0, 480, ALL
+        );
+        expect(events.map(event => [event.time, event['1']])).toEqual([[960, 7], [4000, 10]]);
+    });
+
+    test('leaves out excluded controllers, pitch bend and channel pressure', () => {
+        const events = AutomationConverter.convertToMPCEvents([
+            cc(0, 1, 0),
+            cc(1, 64, 0),
+            { kind: 'pitchbend', value: 16383, time: 0, channel: 0 },
+            { kind: 'aftertouch', value: 100, time: 0, channel: 0 }
+        ], 0, 1920, 0, 480, { enabled: true, excluded: ['cc:0'] });
+        expect(events.map(event => event['1'])).toEqual([1]);
+    });
+
+    test('writes nothing when automation is off', () => {
+        expect(AutomationConverter.convertToMPCEvents([cc(1, 64, 0)], 0, 1920, 0, 480, { enabled: false })).toEqual([]);
+    });
+});
+
+describe('AutomationConverter sources', () => {
+    test('lists only the controllers a pattern can carry', () => {
+        const sources = AutomationConverter.listSources([
+            cc(74, 1, 0),
+            cc(1, 1, 0),
+            cc(1, 2, 10),
+            { kind: 'pitchbend', value: 0, time: 0, channel: 0 }
+        ]);
+        expect(sources).toEqual([
+            { id: 'cc:1', label: 'CC 1 (Mod Wheel)', count: 2 },
+            { id: 'cc:74', label: 'CC 74 (Filter Cutoff)', count: 1 }
+        ]);
+    });
+
+    test('reads controller events back as control changes', () => {
+        expect(AutomationConverter.fromMPCEvent({ type: 1, time: 960, 1: 64, 2: '1.0' })).toEqual(cc(64, 127, 960));
+        expect(AutomationConverter.fromMPCEvent({ type: 1, time: 0, 1: 128, 2: '0.5' })).toBeNull();
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Boundary Policy
+ * Decides what happens to notes that cross the edges of an export range
+ */
+
+export const BOUNDARY_POLICIES = [
+    { id: 'trim', label: 'Trim to range' },
+    { id: 'drop', label: 'Drop crossing notes' },
+    { id: 'wrap', label: 'Wrap tails to start' }
+];
+
+export const DEFAULT_BOUNDARY_POLICY = 'trim';
+
+const withTiming = (note, time, duration, extra = {}) => ({
+    ...note,
+    time,
+    duration,
+    ticks: time,
+    durationTicks: duration,
+    ...extra
+});
+
+export class BoundaryPolicy {
+    static findPolicy(policyId) {
+        return BOUNDARY_POLICIES.find(policy => policy.id === policyId) || null;
+    }
+
+    /**
+     * Apply a boundary policy to the notes overlapping [startTime, endTime).
+     *
+     * 'trim' clips notes to the range.
+     * 'drop' keeps only notes that lie entirely inside the range.
+     * 'wrap' leaves out notes that start before the range and moves the part of
+     * a note past the loop end to the loop start, so the pattern loops seamlessly.
+     * loop ({ start, end } in ticks) is where the exported pattern actually
+     * loops, e.g. from the bar line before the range for a whole number of
+     * bars; without it the range itself is looped.
+     * Wrapped tails are returned as extra notes marked with wrapped: true.
+     */
+    static apply(notes, startTime, endTime, policyId = DEFAULT_BOUNDARY_POLICY, loop = null) {
+        if (!Array.isArray(notes)) {
+            return [];
+        }
+
+        const policy = BoundaryPolicy.findPolicy(policyId) ? policyId : DEFAULT_BOUNDARY_POLICY;
+        const result = [];
+        const loopStart = loop ? loop.start : startTime;
+        const loopEnd = loop ? loop.end : endTime;
+
+        notes.forEach(note => {
+            const noteEnd = note.time + note.duration;
+            if (note.time >= endTime || noteEnd <= startTime) {
+                return;
+            }
+
+            const startsBefore = note.time < startTime;
+            const endsAfter = noteEnd > endTime;
+
+            if (policy === 'drop') {
+                if (!startsBefore && !endsAfter) {
+                    result.push(note);
+                }
+                return;
+            }
+
+            if (policy === 'wrap') {
+                if (startsBefore) {
+                    return;
+                }
+                // Notes starting past the loop end never play, so there is nothing to wrap
+                if (noteEnd <= loopEnd || note.time >= loopEnd) {
+                    result.push(note);
+                    return;
+                }
+
+                result.push(withTiming(note, note.time, loopEnd - note.time));
+
+                // A tail longer than the whole loop would overlap its own head
+                const tailDuration = Math.min(noteEnd - loopEnd, note.time - loopStart);
+                if (tailDuration > 0) {
+                    result.push(withTiming(note, loopStart, tailDuration, { wrapped: true }));
+                }
+                return;
+            }
+
+            if (!startsBefore && !endsAfter) {
+                result.push(note);
+                return;
+            }
+
+            const time = Math.max(note.time, startTime);
+            const duration = Math.min(noteEnd, endTime) - time;
+            if (duration > 0) {
+                result.push(withTiming(note, time, duration));
+            }
+        });
+
+        return result.sort((a, b) => a.time - b.time);
+    }
+}
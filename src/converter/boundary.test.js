@@ -0,0 +1,61 @@
+import { BoundaryPolicy } from './boundary.js';
+
+const note = (time, duration) => ({ midi: 60, velocity: 100, time, duration, ticks: time, durationTicks: duration });
+const timing = (notes) => notes.map(({ time, duration, wrapped }) => [time, duration, Boolean(wrapped)]);
+
+// Range [480, 1440): one note inside, one crossing each edge, one outside
+const NOTES = [note(0, 960), note(600, 240), note(1200, 480), note(1920, 240)];
+
+describe('BoundaryPolicy.apply', () => {
+    test('trim clips notes to the range', () => {
+        expect(timing(BoundaryPolicy.apply(NOTES, 480, 1440, 'trim'))).toEqual([
+            [480, 480, false],
+            [600, 240, false],
+            [1200, 240, false]
+        ]);
+    });
+
+    test('drop keeps only notes entirely inside the range', () => {
+        expect(timing(BoundaryPolicy.apply(NOTES, 480, 1440, 'drop'))).toEqual([
+            [600, 240, false]
+        ]);
+    });
+
+    test('wrap moves tails past the range end to the range start without a loop', () => {
+        expect(timing(BoundaryPolicy.apply(NOTES, 480, 1440, 'wrap'))).toEqual([
+            [480, 240, true],
+            [600, 240, false],
+            [1200, 240, false]
+        ]);
+    });
+
+    test('wrap uses the loop seam when the pattern loops from an earlier bar line', () => {
+        // Loop [0, 1920): the note at 1200 ends at 1680, before the seam, so it stays whole
+        expect(timing(BoundaryPolicy.apply(NOTES, 480, 1440, 'wrap', { start: 0, end: 1920 }))).toEqual([
+            [600, 240, false],
+            [1200, 480, false]
+        ]);
+
+        // Loop [0, 1440): the tail past 1440 wraps to the loop start, not the range start
+        expect(timing(BoundaryPolicy.apply(NOTES, 480, 1440, 'wrap', { start: 0, end: 1440 }))).toEqual([
+            [0, 240, true],
+            [600, 240, false],
+            [1200, 240, false]
+        ]);
+    });
+
+    test('wrap limits a tail so it does not overlap its own head', () => {
+        expect(timing(BoundaryPolicy.apply([note(600, 2000)], 480, 1440, 'wrap'))).toEqual([
+            [480, 120, true],
+            [600, 840, false]
+        ]);
+    });
+
+    test('falls back to trim for an unknown policy', () => {
+        expect(BoundaryPolicy.apply(NOTES, 480, 1440, 'bogus')).toEqual(BoundaryPolicy.apply(NOTES, 480, 1440, 'trim'));
+    });
+
+    test('returns an empty list for missing notes', () => {
+        expect(BoundaryPolicy.apply(null, 0, 480)).toEqual([]);
+    });
+});
@@ -4,6 +4,25 @@
  */
 
 import { Note, MidiDocument } from '../midi/midi-utils.js';
+import { Quantizer } from './quantizer.js';
+import { NoteMapper } from './note-map.js';
+import { AutomationConverter } from './automation.js';
+import { BoundaryPolicy } from './boundary.js';
+import { TimeSignatureMap } from '../midi/time-signature-map.js';
+
+// Written verbatim; the value is too large to survive as a JS number
+const MPC_MAX_PATTERN_LENGTH = '9223372036854775807';
+
+export const PATTERN_LENGTH_MODES = [
+    { id: 'selection', label: 'Selection (whole bars)' },
+    { id: 'bars', label: 'Fixed bars' },
+    { id: 'max', label: 'MPC maximum' }
+];
+
+export const DEFAULT_LENGTH_OPTIONS = {
+    mode: 'selection',
+    bars: 4
+};
 
 export class MPCConverter {
     constructor(midiDocument) {
@@ -40,8 +59,14 @@ export class MPCConverter {
 
     /**
      * Convert a MIDI track to MPC pattern format
+     *
+     * options.quantize: { grid, strength, swing, quantizeEnds } (see quantizer.js)
+     * options.noteMap: { preset, map } source note -> target note (see note-map.js)
+     * options.automation: { enabled, excluded } controller selection (see automation.js)
+     * options.length: { mode, bars } pattern length (see calcPatternLength)
+     * options.boundary: 'trim' | 'drop' | 'wrap' for notes crossing the range edges (see boundary.js)
      */
-    convertTrackToMPC(trackNumber, startTime, endTime, baseTicks = 0, isNotLast = false) {
+    convertTrackToMPC(trackNumber, startTime, endTime, baseTicks = 0, isNotLast = false, options = {}) {
         console.log(`convertTrackToMPC called: trackNumber=${trackNumber}, startTime=${startTime}, endTime=${endTime}, baseTicks=${baseTicks}`);
         
         const trackIndex = trackNumber - 1;
@@ -61,20 +86,15 @@ export class MPCConverter {
         let maxTime = 0;
 
         console.log(`Track has ${track.notes?.length || 0} notes`);
-        
-        // Filter notes in time range
-        const notesInRange = track.notes.filter(note => {
-            const noteStartTime = note.time;
-            const noteEndTime = note.time + note.duration;
-            
-            // Check if note overlaps with selected time range
-            const inRange = noteStartTime < endTime && noteEndTime > startTime;
-            console.log(`Note at time ${noteStartTime}-${noteEndTime}, range ${startTime}-${endTime}, in range: ${inRange}`);
-            return inRange;
-        });
+
+        const patternLength = this.calcPatternLength(endTime, baseTicks, options.length);
+        const loop = this.getPatternLoop(baseTicks, patternLength);
+        const notesInRange = this.getExportNotes(track, startTime, endTime, options, loop);
 
         console.log(`Converting ${notesInRange.length} notes from track ${trackNumber}`);
 
+        const noteMap = NoteMapper.isEnabled(options.noteMap) ? options.noteMap.map : null;
+
         notesInRange.forEach((note, index) => {
             let lastTime = 0;
             
@@ -109,7 +129,7 @@ export class MPCConverter {
                 type: 2,                    // MPC note event type
                 time: mpcStartTime,         // Start time in MPC ticks
                 len: mpcDuration,           // Duration in MPC ticks
-                "1": note.midi,             // MIDI note number
+                "1": NoteMapper.mapNote(note.midi, noteMap), // MIDI note number (after pad remapping)
                 "2": velocityString,        // Velocity in 0-1 range (trimmed string)
                 "3": 0,
                 mod: 0,
@@ -119,10 +139,37 @@ export class MPCConverter {
             events.push(mpcEvent);
         });
 
+        // Controller automation, interleaved with the notes below
+        const automationEvents = options.automation
+            ? AutomationConverter.convertToMPCEvents(
+                track.controlEvents,
+                startTime,
+                endTime,
+                baseTicks,
+                midiPPQ,
+                options.automation
+            )
+            : [];
+
+        console.log(`Converted ${automationEvents.length} automation events from track ${trackNumber}`);
+
+        // Events are listed in time order like the MPC's own files (the static header
+        // events are written first by exportMPCPattern); at equal times the stable
+        // sort keeps controller changes ahead of the notes they affect
+        let patternEvents = [...automationEvents, ...events].sort((a, b) => a.time - b.time);
+
+        if (patternLength !== null) {
+            // Events at or past the loop point would never play
+            patternEvents = patternEvents.filter(event => event.time < patternLength);
+            console.log(`Pattern length: ${patternLength} MPC ticks`);
+        }
+
         const pattern = {
             pattern: {
-                length: 9223372036854775807, // Standard MPC pattern length (exact value from original)
-                events: events
+                length: patternLength !== null
+                    ? patternLength
+                    : 9223372036854775807, // Standard MPC pattern length (exact value from original)
+                events: patternEvents
             }
         };
 
@@ -132,6 +179,154 @@ export class MPCConverter {
         return pattern;
     }
 
+    /**
+     * Notes of a track that an export of [startTime, endTime) contains, in MIDI
+     * ticks: quantized first so notes are judged by where they will land, then
+     * filtered to the range with the boundary policy. loop is where the pattern
+     * loops (see getPatternLoop), so wrapped tails land at the real loop seam.
+     */
+    getExportNotes(track, startTime, endTime, options = {}, loop = null) {
+        const midiPPQ = this.midi.ticksPerQuarter || 480;
+        const sourceNotes = Quantizer.isEnabled(options.quantize)
+            ? Quantizer.quantizeNotes(track.notes, midiPPQ, options.quantize)
+            : track.notes;
+
+        return BoundaryPolicy.apply(sourceNotes, startTime, endTime, options.boundary, loop);
+    }
+
+    /**
+     * Loop of a finite pattern in MIDI ticks: { start, end } from baseTicks for
+     * patternLength MPC ticks. Null for the MPC maximum length, which never loops.
+     */
+    getPatternLoop(baseTicks, patternLength) {
+        if (patternLength === null) {
+            return null;
+        }
+        const midiPPQ = this.midi.ticksPerQuarter || 480;
+        return { start: baseTicks, end: baseTicks + Math.round(patternLength * midiPPQ / 960) };
+    }
+
+    /**
+     * Loop of the pattern an export of [startTime, endTime) with these length
+     * options would write, or null for the MPC maximum length
+     */
+    getExportLoop(startTime, endTime, lengthOptions) {
+        const baseTicks = this.getPatternBaseTicks(startTime, lengthOptions);
+        return this.getPatternLoop(baseTicks, this.calcPatternLength(endTime, baseTicks, lengthOptions));
+    }
+
+    /**
+     * What the exported pattern would play, for auditioning it: the exported
+     * notes and the loop they repeat over, all in MIDI ticks. Finite patterns
+     * loop from the bar line before the range for their whole length; the MPC
+     * maximum length has no loop point, so the range itself is looped.
+     * Pad remapping is left out so notes keep the pitches shown in the roll.
+     */
+    getPlaybackRegion(trackNumber, startTime, endTime, options = {}) {
+        const track = this.midi.tracks[trackNumber - 1];
+        if (!track) {
+            throw new Error(`Track ${trackNumber} not found`);
+        }
+
+        const loop = this.getExportLoop(startTime, endTime, options.length);
+        const loopStart = loop ? loop.start : startTime;
+        const loopEnd = loop ? loop.end : endTime;
+
+        const notes = this.getExportNotes(track, startTime, endTime, options, loop)
+            .filter(note => note.time >= loopStart && note.time < loopEnd);
+
+        return { notes, loopStart, loopEnd };
+    }
+
+    /**
+     * Calculate a finite pattern length in MPC ticks, or null for the MPC maximum.
+     * 'selection' rounds the span from baseTicks to endTime up to whole bars,
+     * 'bars' uses an explicit bar count. Bars follow the file's time signature changes.
+     */
+    calcPatternLength(endTime, baseTicks, lengthOptions) {
+        if (!lengthOptions || lengthOptions.mode === 'max') {
+            return null;
+        }
+
+        const midiPPQ = this.midi.ticksPerQuarter || 480;
+        const signatures = this.getTimeSignatureMap();
+        const baseBar = signatures.getBarIndex(baseTicks);
+
+        let bars;
+        if (lengthOptions.mode === 'bars') {
+            bars = Math.max(1, Math.round(lengthOptions.bars) || 1);
+        } else {
+            // Small tolerance so a range ending exactly on a bar line doesn't gain a bar
+            bars = Math.max(1, signatures.getBarIndex(endTime - 1e-6) - baseBar + 1);
+        }
+
+        return Math.round(960 * (signatures.getBarTick(baseBar + bars) - baseTicks) / midiPPQ);
+    }
+
+    getTimeSignatureMap() {
+        return this.midi.timeSignatureMap
+            || TimeSignatureMap.constant(this.midi.timeSignature, this.midi.ticksPerQuarter || 480);
+    }
+
+    /**
+     * Get the tick a pattern should start from: the first note of the file for the
+     * MPC maximum length, otherwise the bar line at or before the range start
+     */
+    getPatternBaseTicks(startTime, lengthOptions) {
+        if (!lengthOptions || lengthOptions.mode === 'max') {
+            return this.lowTicks;
+        }
+        return this.getTimeSignatureMap().getBarStartTick(startTime);
+    }
+
+    /**
+     * Split a track range into consecutive N-bar patterns.
+     * Windows start on the bar line at or before startTime and each pattern is
+     * timed from its own window start.
+     */
+    sliceTrackToMPC(trackNumber, startTime, endTime, barsPerSlice, options = {}, skipEmpty = true) {
+        const bars = Math.max(1, Math.round(barsPerSlice) || 1);
+        const signatures = this.getTimeSignatureMap();
+        const firstBar = signatures.getBarIndex(startTime);
+
+        const sliceOptions = {
+            ...options,
+            length: { mode: 'bars', bars }
+        };
+
+        const slices = [];
+        for (let bar = firstBar; signatures.getBarTick(bar) < endTime; bar += bars) {
+            const windowStart = signatures.getBarTick(bar);
+            const windowEnd = signatures.getBarTick(bar + bars);
+            const pattern = this.convertTrackToMPC(
+                trackNumber,
+                Math.max(windowStart, startTime),
+                Math.min(windowEnd, endTime),
+                windowStart,
+                windowEnd < endTime,
+                sliceOptions
+            );
+
+            const noteCount = pattern.pattern.events.filter(event => event.type === 2).length;
+            const startBar = bar + 1;
+
+            if (skipEmpty && noteCount === 0) {
+                console.log(`Skipping empty slice at bar ${startBar}`);
+                continue;
+            }
+
+            slices.push({
+                pattern,
+                startBar,
+                endBar: startBar + bars - 1,
+                noteCount
+            });
+        }
+
+        console.log(`Sliced track ${trackNumber} into ${slices.length} patterns of ${bars} bars`);
+        return slices;
+    }
+
     /**
      * Convert entire MIDI document to MPC patterns
      */
@@ -164,10 +359,15 @@ export class MPCConverter {
         const events = Array.isArray(pattern.pattern.events) ? pattern.pattern.events : [];
         const eol = '\r\n';
 
+        const patternLength = pattern.pattern.length;
+        const lengthValue = Number.isSafeInteger(patternLength) && patternLength > 0
+            ? String(patternLength)
+            : MPC_MAX_PATTERN_LENGTH;
+
         const lines = [];
         lines.push('{');
         lines.push('    "pattern": {');
-        lines.push('        "length": 9223372036854775807,');
+        lines.push(`        "length": ${lengthValue},`);
         lines.push('        "events": [');
 
         const staticEvents = [
@@ -229,17 +429,22 @@ export class MPCConverter {
     /**
      * Create downloadable MPC pattern file
      */
-    static createMPCFile(pattern, trackNumber, originalFilename) {
+    static createMPCFile(pattern, trackNumber, originalFilename, suffix = '') {
         const patternJSON = MPCConverter.exportMPCPattern(pattern);
         const blob = new Blob([patternJSON], { type: 'application/json' });
+        const filename = MPCConverter.getMPCFilename(trackNumber, originalFilename, suffix);
         
-        // Generate filename
+        return { blob, filename };
+    }
+
+    /**
+     * Generate the .mpcpattern file name for a track
+     */
+    static getMPCFilename(trackNumber, originalFilename, suffix = '') {
         const baseName = originalFilename 
             ? originalFilename.split('/').pop().split('.')[0]
             : 'midi_pattern';
-        const filename = `${baseName}_Track_${trackNumber}.mpcpattern`;
-        
-        return { blob, filename };
+        return `${baseName}_Track_${trackNumber}${suffix}.mpcpattern`;
     }
 }
 
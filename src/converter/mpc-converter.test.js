@@ -0,0 +1,133 @@
+import { MPCConverter } from './mpc-converter.js';
+import { MidiDocument } from '../midi/midi-utils.js';
+
+const PPQ = 480;
+
+const note = (midi, time, duration) => ({ midi, velocity: 127, time, duration, channel: 0 });
+const cc = (controller, value, time) => ({ kind: 'cc', controller, value, time, channel: 0 });
+
+const converterFor = (track, header = {}) => new MPCConverter(new MidiDocument({
+    header: { ticksPerQuarter: PPQ, ...header },
+    tracks: [{ controlEvents: [], ...track }]
+}));
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('MPCConverter automation', () => {
+    const track = {
+        notes: [note(36, 0, 240), note(38, 480, 240), note(36, 960, 240)],
+        controlEvents: [cc(1, 127, 480), cc(74, 0, 720)]
+    };
+    const options = { automation: { enabled: true, excluded: [] } };
+
+    test('interleaves controller events with the notes in time order', () => {
+        const { events } = converterFor(track).convertTrackToMPC(1, 0, 1920, 0, false, options).pattern;
+        // At equal times the controller change comes before the note it affects
+        expect(events.map(event => [event.type, event.time, event['1']])).toEqual([
+            [2, 0, 36],
+            [1, 960, 1],
+            [2, 960, 38],
+            [1, 1440, 74],
+            [2, 1920, 36]
+        ]);
+    });
+
+    test('writes the header events first, then the pattern events with their fields', () => {
+        const converter = converterFor(track);
+        const text = MPCConverter.exportMPCPattern(converter.convertTrackToMPC(1, 0, 1920, 0, false, options));
+        const { events } = JSON.parse(text).pattern;
+
+        expect(events.slice(0, 3).map(event => [event.type, event.time, event['1']])).toEqual([[1, 0, 0], [1, 0, 32], [1, 0, 130]]);
+        expect(events[4]).toEqual({ type: 1, time: 960, len: 0, 1: 1, 2: 1, 3: 0, mod: 0, modVal: 0 });
+        expect(events[5]).toEqual({ type: 2, time: 960, len: 480, 1: 38, 2: 1, 3: 0, mod: 0, modVal: 0.5 });
+        expect(text).toContain('"modVal": 0.0');
+    });
+});
+
+describe('MPCConverter pattern length', () => {
+    const converter = converterFor({ notes: [note(36, 480, 240), note(38, 2400, 240), note(42, 3840, 240)] });
+
+    test('rounds the selection up to whole bars from the pattern start', () => {
+        expect(converter.calcPatternLength(2000, 0, { mode: 'selection' })).toBe(2 * 3840);
+        expect(converter.calcPatternLength(100, 0, { mode: 'selection' })).toBe(3840);
+    });
+
+    test('does not add a bar when the selection ends on a bar line', () => {
+        expect(converter.calcPatternLength(1920, 0, { mode: 'selection' })).toBe(3840);
+        expect(converter.calcPatternLength(3840, 1920, { mode: 'selection' })).toBe(3840);
+    });
+
+    test('uses an explicit bar count whatever the selection', () => {
+        expect(converter.calcPatternLength(100, 0, { mode: 'bars', bars: 3 })).toBe(3 * 3840);
+        expect(converter.calcPatternLength(9000, 0, { mode: 'bars', bars: 0 })).toBe(3840);
+        expect(converter.calcPatternLength(9000, 0, { mode: 'max' })).toBeNull();
+        expect(converter.calcPatternLength(9000, 0)).toBeNull();
+    });
+
+    test('starts finite patterns on the bar line before the range', () => {
+        expect(converter.getPatternBaseTicks(2400, { mode: 'selection' })).toBe(1920);
+        expect(converter.getPatternBaseTicks(1920, { mode: 'bars', bars: 2 })).toBe(1920);
+    });
+
+    test('writes the pattern length and drops events at or past it', () => {
+        const { pattern } = converter.convertTrackToMPC(1, 0, 3840, 0, false, { length: { mode: 'bars', bars: 1 } });
+        expect(pattern.length).toBe(3840);
+        expect(pattern.events.map(event => event.time)).toEqual([960]);
+
+        const { pattern: selection } = converter.convertTrackToMPC(1, 480, 2640, 0, false, { length: { mode: 'selection' } });
+        expect(selection.length).toBe(2 * 3840);
+        expect(selection.events.map(event => event.time)).toEqual([960, 4800]);
+    });
+
+    test('keeps the MPC maximum length as written by the original converter', () => {
+        const pattern = converter.convertTrackToMPC(1, 0, 3840, 0, false, { length: { mode: 'max' } });
+        expect(MPCConverter.exportMPCPattern(pattern)).toContain('"length": 9223372036854775807,');
+    });
+});
+
+describe('MPCConverter export loop', () => {
+    const converter = converterFor({ notes: [note(36, 0, 240), note(38, 2400, 960), note(40, 3600, 480)] });
+
+    test('loops finite patterns from the bar line before the range for the pattern length', () => {
+        expect(converter.getExportLoop(2400, 3000, { mode: 'selection' })).toEqual({ start: 1920, end: 3840 });
+        expect(converter.getExportLoop(2400, 3000, { mode: 'bars', bars: 2 })).toEqual({ start: 1920, end: 5760 });
+        expect(converter.getExportLoop(2400, 3000, { mode: 'max' })).toBeNull();
+    });
+
+    test('wraps tails at the loop seam in the exported pattern', () => {
+        const options = { boundary: 'wrap', length: { mode: 'selection' } };
+        const { pattern } = converter.convertTrackToMPC(1, 2400, 3840, 1920, false, options);
+        // The note at 2400 ends before the loop end and stays whole; the tail of
+        // the note at 3600 wraps to the loop start at 1920, the pattern's time 0
+        expect(pattern.length).toBe(3840);
+        expect(pattern.events.map(event => [event.time, event.len, event['1']])).toEqual([
+            [0, 480, 40],
+            [960, 1920, 38],
+            [3360, 480, 40]
+        ]);
+    });
+});
+
+describe('MPCConverter pattern length across meter changes', () => {
+    // Two bars of 4/4, then 3/4 from tick 3840
+    const converter = converterFor({ notes: [note(36, 0, 240)] }, {
+        timeSignatures: [{ ticks: 0, numerator: 4, denominator: 4 }, { ticks: 3840, numerator: 3, denominator: 4 }]
+    });
+
+    test('counts bars in the meter they are in', () => {
+        expect(converter.calcPatternLength(4000, 3840, { mode: 'selection' })).toBe(2880);
+        expect(converter.calcPatternLength(4000, 1920, { mode: 'selection' })).toBe(3840 + 2880);
+        expect(converter.calcPatternLength(0, 1920, { mode: 'bars', bars: 3 })).toBe(3840 + 2 * 2880);
+    });
+
+    test('starts patterns on the bar lines of the new meter', () => {
+        expect(converter.getPatternBaseTicks(5000, { mode: 'selection' })).toBe(3840);
+        expect(converter.getPatternBaseTicks(5400, { mode: 'selection' })).toBe(5280);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * MPC Pattern Parser
+ * Handles conversion from MPC pattern format back to MIDI
+ */
+
+import { MidiDocument } from '../midi/midi-utils.js';
+import { AutomationConverter, MPC_HEADER_CONTROLLERS } from './automation.js';
+
+// MPC patterns always use 960 ticks per quarter note
+export const MPC_TICKS_PER_QUARTER = 960;
+
+const PATTERN_EXTENSION = '.mpcpattern';
+
+export class MPCPatternParser {
+    /**
+     * Check whether a file name refers to an MPC pattern file
+     */
+    static isPatternFile(filename) {
+        return typeof filename === 'string' && filename.toLowerCase().endsWith(PATTERN_EXTENSION);
+    }
+
+    /**
+     * Parse an MPC pattern from an ArrayBuffer (as delivered by FileWidget)
+     */
+    static fromBuffer(buffer, filename = '') {
+        const text = new TextDecoder('utf-8').decode(new Uint8Array(buffer));
+        return MPCPatternParser.parse(text, filename);
+    }
+
+    /**
+     * Parse MPC pattern JSON text into a MidiDocument
+     */
+    static parse(text, filename = '') {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid MPC pattern: ${error.message}`);
+        }
+
+        if (!json || typeof json !== 'object' || !json.pattern || !Array.isArray(json.pattern.events)) {
+            throw new Error('Invalid MPC pattern: missing pattern events');
+        }
+
+        const notes = [];
+        const controlEvents = [];
+        let headerEventCount = 0;
+
+        json.pattern.events.forEach((event, index) => {
+            if (!event || typeof event !== 'object') {
+                console.warn(`MPCPatternParser: Skipping malformed event at index ${index}`);
+                return;
+            }
+
+            if (event.type === 1) {
+                // Type 1 events at time 0 on the header controllers carry pattern/program
+                // header data; everything else is controller automation
+                if (Number(event.time) === 0 && MPC_HEADER_CONTROLLERS.includes(Number(event['1']))) {
+                    headerEventCount++;
+                    return;
+                }
+
+                const controlEvent = AutomationConverter.fromMPCEvent(event);
+                if (controlEvent) {
+                    controlEvents.push(controlEvent);
+                }
+                return;
+            }
+
+            if (event.type !== 2) {
+                console.log(`MPCPatternParser: Ignoring unsupported event type ${event.type}`);
+                return;
+            }
+
+            const pitch = Number(event['1']);
+            const time = Number(event.time);
+            if (!Number.isFinite(pitch) || !Number.isFinite(time)) {
+                console.warn(`MPCPatternParser: Skipping note event with invalid pitch/time at index ${index}`);
+                return;
+            }
+
+            const duration = Math.max(1, Number(event.len) || 0);
+            const velocity = MPCPatternParser.velocityToMidi(event['2']);
+
+            notes.push({
+                midi: Math.max(0, Math.min(127, Math.round(pitch))),
+                velocity,
+                time: Math.max(0, Math.round(time)),
+                duration: Math.round(duration),
+                ticks: Math.max(0, Math.round(time)),
+                durationTicks: Math.round(duration),
+                channel: 0
+            });
+        });
+
+        notes.sort((a, b) => a.time - b.time);
+        controlEvents.sort((a, b) => a.time - b.time);
+
+        console.log(`MPCPatternParser: Parsed ${notes.length} notes, ${controlEvents.length} controller events and ${headerEventCount} header events`);
+
+        const baseName = filename
+            ? filename.split('/').pop().replace(/\.mpcpattern$/i, '')
+            : '';
+
+        return new MidiDocument({
+            header: {
+                format: 0,
+                trackCount: 1,
+                ticksPerQuarter: MPC_TICKS_PER_QUARTER,
+                timeDivision: MPC_TICKS_PER_QUARTER,
+                tempoBPM: 120
+            },
+            tracks: [{
+                notes,
+                controlEvents,
+                name: baseName,
+                events: [],
+                channel: 0,
+                instrument: null,
+                instrumentName: ''
+            }]
+        });
+    }
+
+    /**
+     * Convert an MPC velocity (0-1, number or string) to a MIDI velocity (1-127)
+     */
+    static velocityToMidi(value) {
+        const normalized = typeof value === 'number' ? value : Number.parseFloat(value);
+        if (Number.isNaN(normalized)) {
+            return 127;
+        }
+        return Math.max(1, Math.min(127, Math.round(normalized * 127)));
+    }
+
+    /**
+     * Create downloadable Standard MIDI file from a MidiDocument
+     */
+    static createMidiFile(midiDocument, originalFilename) {
+        const buffer = midiDocument.toBuffer();
+        const blob = new Blob([buffer], { type: 'audio/midi' });
+
+        const baseName = originalFilename
+            ? originalFilename.split('/').pop().split('.')[0]
+            : 'mpc_pattern';
+        const filename = `${baseName}.mid`;
+
+        return { blob, filename };
+    }
+}
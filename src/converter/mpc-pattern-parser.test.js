@@ -0,0 +1,69 @@
+import { MPCPatternParser, MPC_TICKS_PER_QUARTER } from './mpc-pattern-parser.js';
+import { MidiDocument } from '../midi/midi-utils.js';
+
+const noteEvent = (time, pitch, len, velocity = 1) => ({ type: 2, time, len, 1: pitch, 2: velocity, 3: 0, mod: 0, modVal: 0.5 });
+
+const patternText = (events) => JSON.stringify({ pattern: { length: 3840, events } });
+
+const timing = (notes) => notes
+    .map(({ midi, time, duration }) => [midi, time, duration])
+    .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+/**
+ * Write a MidiDocument to a Standard MIDI file and read it back
+ */
+const roundTrip = (midiDocument) => MidiDocument.fromBuffer(midiDocument.toBuffer());
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('MPCPatternParser', () => {
+    test('reads notes and skips the header controller events', () => {
+        const midiDocument = MPCPatternParser.parse(patternText([
+            { type: 1, time: 0, 1: 0, 2: 0, 3: 0, mod: 0, modVal: '0.0' },
+            noteEvent(960, 36, 240, 0.5),
+            noteEvent(0, 38, 480)
+        ]));
+
+        expect(midiDocument.ticksPerQuarter).toBe(MPC_TICKS_PER_QUARTER);
+        expect(timing(midiDocument.tracks[0].notes)).toEqual([[38, 0, 480], [36, 960, 240]]);
+        expect(midiDocument.tracks[0].notes[1].velocity).toBe(64);
+    });
+
+    test('survives a round trip through a Standard MIDI file', () => {
+        const midiDocument = MPCPatternParser.parse(patternText([
+            noteEvent(0, 36, 240),
+            noteEvent(240, 36, 240),
+            noteEvent(480, 42, 120),
+            noteEvent(960, 38, 0)
+        ]));
+
+        // Zero-length notes get one tick so their note-off follows the note-on
+        expect(timing(roundTrip(midiDocument).tracks[0].notes)).toEqual([
+            [36, 0, 240],
+            [36, 240, 240],
+            [42, 480, 120],
+            [38, 960, 1]
+        ]);
+    });
+
+    test('writes zero-length notes without leaving them stuck on', () => {
+        const midiDocument = new MidiDocument({
+            header: { format: 0, ticksPerQuarter: 480, tempoBPM: 120 },
+            tracks: [{
+                notes: [
+                    { midi: 60, velocity: 100, time: 0, duration: 0, channel: 0 },
+                    { midi: 60, velocity: 100, time: 480, duration: 240, channel: 0 }
+                ],
+                controlEvents: []
+            }]
+        });
+
+        expect(timing(roundTrip(midiDocument).tracks[0].notes)).toEqual([[60, 0, 1], [60, 480, 240]]);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Note Map
+ * Remaps MIDI note numbers onto MPC/Force drum pad layouts
+ */
+
+// GM drum sounds grouped per pad, in pad order (pad 1 first)
+const GM_PAD_ASSIGNMENTS = [
+    { pad: 'Kick', notes: [35, 36] },
+    { pad: 'Snare', notes: [38, 40] },
+    { pad: 'Side Stick', notes: [37] },
+    { pad: 'Clap', notes: [39] },
+    { pad: 'Closed Hat', notes: [42] },
+    { pad: 'Pedal Hat', notes: [44] },
+    { pad: 'Open Hat', notes: [46] },
+    { pad: 'Low Tom', notes: [41, 43] },
+    { pad: 'Mid Tom', notes: [45, 47] },
+    { pad: 'High Tom', notes: [48, 50] },
+    { pad: 'Crash', notes: [49, 57] },
+    { pad: 'Ride', notes: [51, 59] },
+    { pad: 'Ride Bell', notes: [53] },
+    { pad: 'Splash/China', notes: [52, 55] },
+    { pad: 'Tambourine', notes: [54] },
+    { pad: 'Cowbell', notes: [56] }
+];
+
+const buildPadMap = (firstPadNote) => {
+    const map = {};
+    GM_PAD_ASSIGNMENTS.forEach((assignment, padIndex) => {
+        assignment.notes.forEach(note => {
+            map[note] = firstPadNote + padIndex;
+        });
+    });
+    return map;
+};
+
+export const NOTE_MAP_PRESETS = [
+    {
+        id: 'none',
+        label: 'No remapping',
+        map: {}
+    },
+    {
+        // MPC default program: 16 chromatic pads, A01 = note 37
+        id: 'gm-mpc',
+        label: 'GM → MPC pads (A01 = 37)',
+        firstPadNote: 37,
+        map: buildPadMap(37)
+    },
+    {
+        // Force drum pad layout: 4x4 block, bottom-left pad = note 36
+        id: 'gm-force',
+        label: 'GM → Force drum pads (pad 1 = 36)',
+        firstPadNote: 36,
+        map: buildPadMap(36)
+    }
+];
+
+export const DEFAULT_NOTE_MAP_OPTIONS = {
+    preset: 'none',
+    map: {}
+};
+
+export const PERCUSSION_PRESET_ID = 'gm-mpc';
+
+export class NoteMapper {
+    static getPreset(presetId) {
+        return NOTE_MAP_PRESETS.find(preset => preset.id === presetId) || NOTE_MAP_PRESETS[0];
+    }
+
+    /**
+     * Build note map options from a preset
+     */
+    static fromPreset(presetId) {
+        const preset = NoteMapper.getPreset(presetId);
+        return {
+            preset: preset.id,
+            map: { ...preset.map }
+        };
+    }
+
+    /**
+     * Map a note number through the given map, leaving unmapped notes alone
+     */
+    static mapNote(noteNumber, map) {
+        if (!map) {
+            return noteNumber;
+        }
+        const target = map[noteNumber];
+        return typeof target === 'number' ? target : noteNumber;
+    }
+
+    static isEnabled(options) {
+        return Boolean(options && options.map && Object.keys(options.map).length > 0);
+    }
+
+    /**
+     * Get the pad label (e.g. "Kick") a preset assigns to a target note
+     */
+    static getPadLabel(presetId, targetNote) {
+        const preset = NoteMapper.getPreset(presetId);
+        if (typeof preset.firstPadNote !== 'number') {
+            return '';
+        }
+        const assignment = GM_PAD_ASSIGNMENTS[targetNote - preset.firstPadNote];
+        return assignment ? `Pad ${targetNote - preset.firstPadNote + 1} (${assignment.pad})` : '';
+    }
+
+    /**
+     * Suggest a preset for a track, given its MIDI channel and instrument family
+     */
+    static suggestPreset(channel, family) {
+        if (channel === 9 || family === 'percussion') {
+            return PERCUSSION_PRESET_ID;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Quantizer
+ * Snaps note timing to a musical grid with strength and MPC-style swing
+ */
+
+// Grid step sizes expressed in quarter notes
+export const QUANTIZE_GRIDS = [
+    { id: '1/4', label: '1/4', quarters: 1, triplet: false },
+    { id: '1/4T', label: '1/4 Triplet', quarters: 2 / 3, triplet: true },
+    { id: '1/8', label: '1/8', quarters: 1 / 2, triplet: false },
+    { id: '1/8T', label: '1/8 Triplet', quarters: 1 / 3, triplet: true },
+    { id: '1/16', label: '1/16', quarters: 1 / 4, triplet: false },
+    { id: '1/16T', label: '1/16 Triplet', quarters: 1 / 6, triplet: true },
+    { id: '1/32', label: '1/32', quarters: 1 / 8, triplet: false },
+    { id: '1/32T', label: '1/32 Triplet', quarters: 1 / 12, triplet: true },
+    { id: '1/64', label: '1/64', quarters: 1 / 16, triplet: false },
+    { id: '1/64T', label: '1/64 Triplet', quarters: 1 / 24, triplet: true }
+];
+
+export const DEFAULT_QUANTIZE_OPTIONS = {
+    grid: 'off',
+    strength: 100,      // Percentage of the distance to the grid line to move
+    swing: 50,          // MPC swing, 50 (straight) to 75
+    quantizeEnds: false
+};
+
+export const MIN_SWING = 50;
+export const MAX_SWING = 75;
+
+export class Quantizer {
+    /**
+     * Check whether quantization is switched on for the given options
+     */
+    static isEnabled(options) {
+        return Boolean(options && options.grid && options.grid !== 'off' && Quantizer.findGrid(options.grid));
+    }
+
+    static findGrid(gridId) {
+        return QUANTIZE_GRIDS.find(grid => grid.id === gridId) || null;
+    }
+
+    /**
+     * Get the grid step size in MIDI ticks
+     */
+    static getGridTicks(gridId, ticksPerQuarter) {
+        const grid = Quantizer.findGrid(gridId);
+        return grid ? grid.quarters * ticksPerQuarter : 0;
+    }
+
+    /**
+     * Quantize a single tick position to the grid.
+     * Swing delays every second grid line, the way the MPC does: at 50% the
+     * off-beat sits halfway through the pair of steps, at 66% it lands on the triplet.
+     */
+    static quantizeTick(tick, gridTicks, { strength = 100, swing = MIN_SWING, triplet = false } = {}) {
+        if (!(gridTicks > 0)) {
+            return tick;
+        }
+
+        const pairTicks = gridTicks * 2;
+        const clampedSwing = triplet ? MIN_SWING : Math.max(MIN_SWING, Math.min(MAX_SWING, swing));
+        const pairStart = Math.floor(tick / pairTicks) * pairTicks;
+        const candidates = [
+            pairStart,
+            pairStart + pairTicks * clampedSwing / 100,
+            pairStart + pairTicks
+        ];
+
+        let target = candidates[0];
+        candidates.forEach(candidate => {
+            if (Math.abs(candidate - tick) < Math.abs(target - tick)) {
+                target = candidate;
+            }
+        });
+
+        const amount = Math.max(0, Math.min(100, strength)) / 100;
+        return Math.round(tick + (target - tick) * amount);
+    }
+
+    /**
+     * Quantize note starts (and optionally ends), returning new note objects
+     */
+    static quantizeNotes(notes, ticksPerQuarter, options = {}) {
+        if (!Array.isArray(notes) || !Quantizer.isEnabled(options)) {
+            return notes;
+        }
+
+        const grid = Quantizer.findGrid(options.grid);
+        const gridTicks = grid.quarters * ticksPerQuarter;
+        const tickOptions = {
+            strength: options.strength ?? DEFAULT_QUANTIZE_OPTIONS.strength,
+            swing: options.swing ?? DEFAULT_QUANTIZE_OPTIONS.swing,
+            triplet: grid.triplet
+        };
+
+        return notes.map(note => {
+            const start = Quantizer.quantizeTick(note.time, gridTicks, tickOptions);
+            let duration = note.duration;
+
+            if (options.quantizeEnds) {
+                const end = Quantizer.quantizeTick(note.time + note.duration, gridTicks, tickOptions);
+                // Keep the original length rather than collapsing a short note to nothing
+                if (end > start) {
+                    duration = end - start;
+                }
+            }
+
+            return {
+                ...note,
+                time: start,
+                duration,
+                ticks: start,
+                durationTicks: duration
+            };
+        });
+    }
+}
@@ -0,0 +1,62 @@
+import { Quantizer } from './quantizer.js';
+
+const PPQ = 480;
+const SIXTEENTH = PPQ / 4;
+
+const note = (time, duration = 60) => ({ midi: 60, velocity: 100, time, duration, ticks: time, durationTicks: duration });
+
+describe('Quantizer.quantizeTick', () => {
+    test('snaps to the nearest grid line at full strength', () => {
+        expect(Quantizer.quantizeTick(130, SIXTEENTH)).toBe(120);
+        expect(Quantizer.quantizeTick(170, SIXTEENTH)).toBe(120);
+        expect(Quantizer.quantizeTick(190, SIXTEENTH)).toBe(240);
+    });
+
+    test('moves only part of the way at lower strength', () => {
+        expect(Quantizer.quantizeTick(140, SIXTEENTH, { strength: 50 })).toBe(130);
+        expect(Quantizer.quantizeTick(140, SIXTEENTH, { strength: 0 })).toBe(140);
+    });
+
+    test('delays every second grid line with swing', () => {
+        // 66% of a pair of 1/16 steps (240 ticks) puts the off-beat on the triplet
+        expect(Quantizer.quantizeTick(120, SIXTEENTH, { swing: 66 })).toBe(158);
+        expect(Quantizer.quantizeTick(240, SIXTEENTH, { swing: 66 })).toBe(240);
+        expect(Quantizer.quantizeTick(120, SIXTEENTH, { swing: 75 })).toBe(180);
+    });
+
+    test('clamps swing to the MPC range and ignores it on triplet grids', () => {
+        expect(Quantizer.quantizeTick(120, SIXTEENTH, { swing: 90 })).toBe(180);
+        expect(Quantizer.quantizeTick(120, SIXTEENTH, { swing: 30 })).toBe(120);
+        expect(Quantizer.quantizeTick(160, 160, { swing: 75, triplet: true })).toBe(160);
+    });
+
+    test('leaves ticks alone without a grid', () => {
+        expect(Quantizer.quantizeTick(123, 0)).toBe(123);
+    });
+});
+
+describe('Quantizer.quantizeNotes', () => {
+    test('returns the notes unchanged when quantize is off', () => {
+        const notes = [note(10)];
+        expect(Quantizer.quantizeNotes(notes, PPQ, { grid: 'off' })).toBe(notes);
+    });
+
+    test('moves starts and keeps lengths unless ends are quantized', () => {
+        const [moved] = Quantizer.quantizeNotes([note(130, 100)], PPQ, { grid: '1/16' });
+        expect(moved).toMatchObject({ time: 120, duration: 100, ticks: 120, durationTicks: 100 });
+
+        const [withEnd] = Quantizer.quantizeNotes([note(130, 100)], PPQ, { grid: '1/16', quantizeEnds: true });
+        expect(withEnd).toMatchObject({ time: 120, duration: 120 });
+    });
+
+    test('keeps the original length when the quantized end would collapse the note', () => {
+        const [short] = Quantizer.quantizeNotes([note(125, 20)], PPQ, { grid: '1/16', quantizeEnds: true });
+        expect(short).toMatchObject({ time: 120, duration: 20 });
+    });
+
+    test('does not modify the source notes', () => {
+        const source = note(130);
+        Quantizer.quantizeNotes([source], PPQ, { grid: '1/16' });
+        expect(source.time).toBe(130);
+    });
+});
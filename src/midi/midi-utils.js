@@ -3,6 +3,9 @@
  */
 
 import MidiParser from 'midi-parser-js';
+import { writeMidi } from './midi-writer.js';
+import { TempoMap } from './tempo-map.js';
+import { TimeSignatureMap } from './time-signature-map.js';
 
 const hasTextDecoder = typeof TextDecoder !== 'undefined';
 const textDecoder = hasTextDecoder ? new TextDecoder('utf-8', { fatal: false }) : null;
@@ -175,6 +178,62 @@ export const getGeneralMidiInstrumentName = (programNumber) => {
     const index = Math.max(0, Math.min(GENERAL_MIDI_INSTRUMENTS.length - 1, programNumber));
     return GENERAL_MIDI_INSTRUMENTS[index] || `Program ${programNumber + 1}`;
 };
+
+// General MIDI percussion key map (channel 10), keyed by note number
+export const GENERAL_MIDI_DRUMS = {
+    35: 'Acoustic Bass Drum',
+    36: 'Bass Drum 1',
+    37: 'Side Stick',
+    38: 'Acoustic Snare',
+    39: 'Hand Clap',
+    40: 'Electric Snare',
+    41: 'Low Floor Tom',
+    42: 'Closed Hi-Hat',
+    43: 'High Floor Tom',
+    44: 'Pedal Hi-Hat',
+    45: 'Low Tom',
+    46: 'Open Hi-Hat',
+    47: 'Low-Mid Tom',
+    48: 'Hi-Mid Tom',
+    49: 'Crash Cymbal 1',
+    50: 'High Tom',
+    51: 'Ride Cymbal 1',
+    52: 'Chinese Cymbal',
+    53: 'Ride Bell',
+    54: 'Tambourine',
+    55: 'Splash Cymbal',
+    56: 'Cowbell',
+    57: 'Crash Cymbal 2',
+    58: 'Vibraslap',
+    59: 'Ride Cymbal 2',
+    60: 'Hi Bongo',
+    61: 'Low Bongo',
+    62: 'Mute Hi Conga',
+    63: 'Open Hi Conga',
+    64: 'Low Conga',
+    65: 'High Timbale',
+    66: 'Low Timbale',
+    67: 'High Agogo',
+    68: 'Low Agogo',
+    69: 'Cabasa',
+    70: 'Maracas',
+    71: 'Short Whistle',
+    72: 'Long Whistle',
+    73: 'Short Guiro',
+    74: 'Long Guiro',
+    75: 'Claves',
+    76: 'Hi Wood Block',
+    77: 'Low Wood Block',
+    78: 'Mute Cuica',
+    79: 'Open Cuica',
+    80: 'Mute Triangle',
+    81: 'Open Triangle'
+};
+
+export const getGeneralMidiDrumName = (noteNumber) => {
+    return GENERAL_MIDI_DRUMS[noteNumber] || '';
+};
+
 /**
  * Note class for handling musical notes
  */
@@ -237,15 +296,74 @@ export class MidiTrack {
     constructor(trackData = {}) {
         this.events = trackData.events || [];
         this.notes = trackData.notes || [];
+        this.controlEvents = trackData.controlEvents || []; // CC, pitch bend and channel pressure
         this.name = trackData.name || '';
         this.channel = trackData.channel || 0;
         this.instrument = trackData.instrument !== undefined ? trackData.instrument : null;
         this.instrumentName = trackData.instrumentName || '';
+        this.originalNotes = null; // Notes as loaded, kept once the track is edited
+    }
+
+    // Keep a copy of the notes as loaded, the first time they are edited
+    saveOriginalNotes() {
+        if (!this.originalNotes) {
+            this.originalNotes = this.notes.map(note => ({ ...note }));
+        }
+    }
+
+    hasEdits() {
+        return Boolean(this.originalNotes);
     }
 
-    // Add a note to the track
+    // Restore the notes as loaded, discarding all edits
+    revertEdits() {
+        if (this.originalNotes) {
+            this.notes = this.originalNotes;
+            this.originalNotes = null;
+        }
+    }
+
+    // Add a note to the track, clamped to valid MIDI values like updateNote
     addNote(note) {
-        this.notes.push(note);
+        this.updateNote(note, {});
+        this.notes = [...this.notes, note];
+        return note;
+    }
+
+    // Replace all notes, e.g. with edits restored from a saved session
+    replaceNotes(notes) {
+        this.saveOriginalNotes();
+        this.notes = notes
+            .map(note => ({ ...note, ticks: note.time, durationTicks: note.duration }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Remove notes from the track
+    removeNotes(notesToRemove) {
+        this.saveOriginalNotes();
+        const removed = new Set(notesToRemove);
+        this.notes = this.notes.filter(note => !removed.has(note));
+    }
+
+    /**
+     * Change a note's time, duration, pitch or velocity in place, keeping the tick
+     * fields in step. The note list is only replaced by commitEdits(), so a drag
+     * can update notes on every mouse move without re-rendering everything.
+     */
+    updateNote(note, changes) {
+        this.saveOriginalNotes();
+        Object.assign(note, changes);
+        note.time = Math.max(0, Math.round(note.time));
+        note.duration = Math.max(1, Math.round(note.duration));
+        note.midi = Math.max(0, Math.min(127, Math.round(note.midi)));
+        note.velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+        note.ticks = note.time;
+        note.durationTicks = note.duration;
+    }
+
+    // Finish an edit: keep notes in time order and replace the list so views that compare it refresh
+    commitEdits() {
+        this.notes = [...this.notes].sort((a, b) => a.time - b.time);
     }
 
     // Get all notes in a time range
@@ -286,6 +404,24 @@ export class MidiDocument {
         this.ticksPerQuarter = this.header.ticksPerQuarter || this.header.timeDivision || 480;
         this.timeDivision = this.header.timeDivision;
         this.tempoBPM = this.header.tempoBPM || 120;
+        this.timeSignature = this.header.timeSignature || [4, 4];
+        this.timeSignatureMap = this.header.timeSignatures
+            ? new TimeSignatureMap(this.header.timeSignatures, this.ticksPerQuarter)
+            : TimeSignatureMap.constant(this.timeSignature, this.ticksPerQuarter);
+        this.tempoMap = new TempoMap(
+            this.header.tempos || [{ ticks: 0, bpm: this.tempoBPM }],
+            this.ticksPerQuarter
+        );
+    }
+
+    // Length of the bar at the given tick in MIDI ticks
+    getTicksPerBar(ticks = 0) {
+        return this.timeSignatureMap.getTicksPerBar(ticks);
+    }
+
+    // Start tick of the bar containing the given tick
+    getBarStartTick(ticks) {
+        return this.timeSignatureMap.getBarStartTick(ticks);
     }
 
     // Parse MIDI from binary data
@@ -300,12 +436,13 @@ export class MidiDocument {
         const parsedMidi = MidiParser.parse(uint8Array);
         console.log('Parsed MIDI data:', parsedMidi);
         
-    let tempoBPM = null;
-    let firstTempoTicks = null;
+        const tempos = [];
+        const timeSignatures = [];
 
         // Convert to our format
         const tracks = parsedMidi.track.map((trackData, trackIndex) => {
             const notes = [];
+            const controlEvents = [];
             const events = trackData.event;
             let currentTime = 0;
 
@@ -335,16 +472,19 @@ export class MidiDocument {
                     if (sanitizedInstrument) {
                         instrumentName = sanitizedInstrument;
                     }
-                } else if (event.type === 255 && event.metaType === 81 && Array.isArray(event.data) && event.data.length === 3) { // Tempo
-                    if (tempoBPM === null || firstTempoTicks === null || currentTime < firstTempoTicks) {
-                        const microsPerQuarter = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2];
-                        if (microsPerQuarter > 0) {
-                            const bpm = 60000000 / microsPerQuarter;
-                            if (!Number.isNaN(bpm) && bpm > 0) {
-                                tempoBPM = bpm;
-                                firstTempoTicks = currentTime;
-                            }
-                        }
+                } else if (event.type === 255 && event.metaType === 81) { // Tempo
+                    // midi-parser-js delivers the 24-bit tempo as a single number
+                    const microsPerQuarter = Array.isArray(event.data)
+                        ? (event.data[0] << 16) | (event.data[1] << 8) | event.data[2]
+                        : event.data;
+                    if (microsPerQuarter > 0) {
+                        tempos.push({ ticks: currentTime, bpm: 60000000 / microsPerQuarter });
+                    }
+                } else if (event.type === 255 && event.metaType === 88 && Array.isArray(event.data) && event.data.length >= 2) { // Time signature
+                    const numerator = event.data[0];
+                    const denominator = Math.pow(2, event.data[1]);
+                    if (numerator > 0 && denominator > 0) {
+                        timeSignatures.push({ ticks: currentTime, numerator, denominator });
                     }
                 }
             });
@@ -368,6 +508,40 @@ export class MidiDocument {
                     return;
                 }
 
+                if (event.type === 11 && Array.isArray(event.data)) { // Control Change
+                    controlEvents.push({
+                        kind: 'cc',
+                        controller: event.data[0],
+                        value: event.data[1],
+                        time: currentTime,
+                        channel
+                    });
+                    return;
+                }
+
+                if (event.type === 14 && Array.isArray(event.data)) { // Pitch Bend (LSB, MSB)
+                    controlEvents.push({
+                        kind: 'pitchbend',
+                        value: (event.data[1] << 7) | event.data[0],
+                        time: currentTime,
+                        channel
+                    });
+                    return;
+                }
+
+                if (event.type === 13) { // Channel Pressure
+                    const pressure = Array.isArray(event.data) ? event.data[0] : event.data;
+                    if (typeof pressure === 'number') {
+                        controlEvents.push({
+                            kind: 'aftertouch',
+                            value: pressure,
+                            time: currentTime,
+                            channel
+                        });
+                    }
+                    return;
+                }
+
                 if (event.type === 9) { // Note On
                     const pitch = event.data[0];
                     const velocity = event.data[1];
@@ -452,6 +626,7 @@ export class MidiDocument {
 
             return {
                 notes: notes,
+                controlEvents: controlEvents,
                 name: trackName || '',
                 events: events,
                 channel: trackChannel,
@@ -460,13 +635,19 @@ export class MidiDocument {
             };
         });
         
+        const tempoMap = new TempoMap(tempos, parsedMidi.timeDivision);
+        const timeSignatureMap = new TimeSignatureMap(timeSignatures, parsedMidi.timeDivision);
+
         const midiData = {
             header: {
                 format: parsedMidi.formatType,
                 trackCount: parsedMidi.tracks,
                 ticksPerQuarter: parsedMidi.timeDivision,
                 timeDivision: parsedMidi.timeDivision,
-                tempoBPM: tempoBPM || 120
+                tempoBPM: tempoMap.getTempoAt(0),
+                tempos: tempoMap.toJSON(),
+                timeSignature: timeSignatureMap.getSignatureAt(0),
+                timeSignatures: timeSignatureMap.toJSON()
             },
             tracks: tracks
         };
@@ -505,20 +686,25 @@ export class MidiDocument {
 
     // Export as MIDI buffer
     toBuffer() {
-        throw new Error('MIDI writing functionality not yet implemented');
-        // const midiData = {
-        //     header: this.header,
-        //     tracks: this.tracks.map(track => ({
-        //         events: track.events,
-        //         notes: track.notes.map(note => ({
-        //             noteNumber: note.midi,
-        //             velocity: note.velocity,
-        //             time: note.time,
-        //             duration: note.duration
-        //         }))
-        //     }))
-        // };
-
-        // return new Uint8Array(MidiWriter.writeMidi(midiData));
+        const midiData = {
+            header: {
+                ...this.header,
+                ticksPerQuarter: this.ticksPerQuarter,
+                tempoBPM: this.tempoBPM
+            },
+            tracks: this.tracks.map(track => ({
+                name: track.name,
+                notes: track.notes.map(note => ({
+                    midi: note.midi,
+                    velocity: note.velocity,
+                    time: note.time,
+                    duration: note.duration,
+                    channel: note.channel !== undefined ? note.channel : track.channel
+                })),
+                controlEvents: track.controlEvents
+            }))
+        };
+
+        return writeMidi(midiData);
     }
 }
\ No newline at end of file
@@ -8,8 +8,17 @@ export function writeMidi(midiData) {
     
     // Calculate total file size
     let totalSize = 14; // Header chunk size
-    const trackBuffers = tracks.map(track => writeTrack(track));
-    totalSize += trackBuffers.reduce((sum, buffer) => sum + buffer.length + 8, 0);
+    const tempos = Array.isArray(header.tempos) && header.tempos.length > 0
+        ? header.tempos
+        : (header.tempoBPM > 0 ? [{ ticks: 0, bpm: header.tempoBPM }] : []);
+
+    const timeSignatures = Array.isArray(header.timeSignatures) ? header.timeSignatures : [];
+
+    // Tempo and meter belong in the first track (the conductor track for format 1)
+    const trackBuffers = tracks.map((track, index) => (index === 0
+        ? writeTrack(track, tempos, timeSignatures)
+        : writeTrack(track)));
+    totalSize += trackBuffers.reduce((sum, buffer) => sum + buffer.byteLength + 8, 0);
     
     // Create output buffer
     const output = new ArrayBuffer(totalSize);
@@ -31,19 +40,20 @@ export function writeMidi(midiData) {
     // Write track chunks
     trackBuffers.forEach(trackBuffer => {
         offset += writeString(view, offset, 'MTrk');
-        view.setUint32(offset, trackBuffer.length, false);
+        view.setUint32(offset, trackBuffer.byteLength, false);
         offset += 4;
         
-        new Uint8Array(output, offset, trackBuffer.length).set(new Uint8Array(trackBuffer));
-        offset += trackBuffer.length;
+        new Uint8Array(output, offset, trackBuffer.byteLength).set(new Uint8Array(trackBuffer));
+        offset += trackBuffer.byteLength;
     });
     
     return output;
 }
 
-function writeTrack(track) {
+function writeTrack(track, tempos = [], timeSignatures = []) {
     const events = track.events || [];
     const notes = track.notes || [];
+    const controlEvents = track.controlEvents || [];
     
     // Convert notes to MIDI events
     const midiEvents = [];
@@ -61,6 +71,23 @@ function writeTrack(track) {
     
     // Convert notes to note-on/note-off events
     const noteEvents = [];
+
+    timeSignatures.forEach(signature => {
+        noteEvents.push({
+            time: signature.ticks,
+            type: 'timeSignature',
+            numerator: signature.numerator,
+            denominator: signature.denominator
+        });
+    });
+
+    tempos.forEach(tempo => {
+        noteEvents.push({
+            time: tempo.ticks,
+            type: 'tempo',
+            bpm: tempo.bpm
+        });
+    });
     
     notes.forEach(note => {
         noteEvents.push({
@@ -71,8 +98,9 @@ function writeTrack(track) {
             channel: note.channel || 0
         });
         
+        // A note needs at least one tick, or its off would sort ahead of its own on
         noteEvents.push({
-            time: note.time + note.duration,
+            time: note.time + Math.max(1, note.duration),
             type: 'noteOff',
             pitch: note.noteNumber || note.midi,
             velocity: 64,
@@ -80,8 +108,26 @@ function writeTrack(track) {
         });
     });
     
-    // Sort events by time
-    noteEvents.sort((a, b) => a.time - b.time);
+    controlEvents.forEach(control => {
+        noteEvents.push({
+            time: control.time,
+            type: control.kind,
+            controller: control.controller,
+            value: control.value,
+            channel: control.channel || 0
+        });
+    });
+    
+    // Sort events by time (meta, note-offs, then controllers, then note-ons at the same tick)
+    const typeOrder = type => {
+        if (type === 'tempo' || type === 'timeSignature') return -1;
+        if (type === 'noteOff') return 0;
+        return type === 'noteOn' ? 2 : 1;
+    };
+    noteEvents.sort((a, b) => {
+        if (a.time !== b.time) return a.time - b.time;
+        return typeOrder(a.type) - typeOrder(b.type);
+    });
     
     // Convert to MIDI format
     noteEvents.forEach(event => {
@@ -100,6 +146,44 @@ function writeTrack(track) {
                 type: 0x80 | (event.channel & 0x0F),
                 data: [event.pitch, event.velocity]
             });
+        } else if (event.type === 'cc') {
+            midiEvents.push({
+                deltaTime,
+                type: 0xB0 | (event.channel & 0x0F),
+                data: [event.controller & 0x7F, event.value & 0x7F]
+            });
+        } else if (event.type === 'pitchbend') {
+            midiEvents.push({
+                deltaTime,
+                type: 0xE0 | (event.channel & 0x0F),
+                data: [event.value & 0x7F, (event.value >> 7) & 0x7F]
+            });
+        } else if (event.type === 'tempo') {
+            const microsPerQuarter = Math.round(60000000 / event.bpm);
+            midiEvents.push({
+                deltaTime,
+                type: 0xFF,
+                metaType: 0x51,
+                data: new Uint8Array([
+                    (microsPerQuarter >> 16) & 0xFF,
+                    (microsPerQuarter >> 8) & 0xFF,
+                    microsPerQuarter & 0xFF
+                ])
+            });
+        } else if (event.type === 'timeSignature') {
+            midiEvents.push({
+                deltaTime,
+                type: 0xFF,
+                metaType: 0x58,
+                // Denominator is stored as a power of two; 24 clocks per click, 8 32nds per quarter
+                data: new Uint8Array([event.numerator, Math.round(Math.log2(event.denominator)), 24, 8])
+            });
+        } else if (event.type === 'aftertouch') {
+            midiEvents.push({
+                deltaTime,
+                type: 0xD0 | (event.channel & 0x0F),
+                data: [event.value & 0x7F]
+            });
         }
     });
     
@@ -0,0 +1,113 @@
+/**
+ * Tempo Map
+ * Converts between MIDI ticks and seconds across tempo changes
+ */
+
+// Standard MIDI files play at 120 BPM until the first Set Tempo event
+export const DEFAULT_TEMPO_BPM = 120;
+
+/**
+ * Format seconds as m:ss.s
+ */
+export const formatSeconds = (seconds, decimals = 1) => {
+    const safeSeconds = Math.max(0, seconds);
+    const minutes = Math.floor(safeSeconds / 60);
+    const remainingSeconds = (safeSeconds % 60).toFixed(decimals);
+    const width = decimals > 0 ? decimals + 3 : 2;
+    return `${minutes}:${remainingSeconds.padStart(width, '0')}`;
+};
+
+export class TempoMap {
+    /**
+     * tempos: [{ ticks, bpm }] in any order. A tempo at tick 0 is added when missing.
+     */
+    constructor(tempos = [], ticksPerQuarter = 480) {
+        this.ticksPerQuarter = ticksPerQuarter || 480;
+
+        const sorted = tempos
+            .filter(tempo => tempo && tempo.bpm > 0 && tempo.ticks >= 0)
+            .map(tempo => ({ ticks: tempo.ticks, bpm: tempo.bpm }))
+            .sort((a, b) => a.ticks - b.ticks);
+
+        // Later events at the same tick replace earlier ones
+        const tempoList = [];
+        sorted.forEach(tempo => {
+            const last = tempoList[tempoList.length - 1];
+            if (last && last.ticks === tempo.ticks) {
+                last.bpm = tempo.bpm;
+            } else if (!last || last.bpm !== tempo.bpm) {
+                tempoList.push(tempo);
+            }
+        });
+
+        if (tempoList.length === 0 || tempoList[0].ticks > 0) {
+            tempoList.unshift({ ticks: 0, bpm: DEFAULT_TEMPO_BPM });
+        }
+
+        // Precompute the start time of each tempo segment
+        let seconds = 0;
+        this.tempos = tempoList.map((tempo, index) => {
+            if (index > 0) {
+                const previous = tempoList[index - 1];
+                seconds += this.ticksToSecondsAtTempo(tempo.ticks - previous.ticks, previous.bpm);
+            }
+            return { ...tempo, seconds };
+        });
+    }
+
+    /**
+     * Build a tempo map holding a single tempo
+     */
+    static constant(bpm = DEFAULT_TEMPO_BPM, ticksPerQuarter = 480) {
+        return new TempoMap([{ ticks: 0, bpm }], ticksPerQuarter);
+    }
+
+    ticksToSecondsAtTempo(ticks, bpm) {
+        return ticks / this.ticksPerQuarter * 60 / bpm;
+    }
+
+    // Tempo segment active at the given tick
+    getSegmentAtTicks(ticks) {
+        let segment = this.tempos[0];
+        for (let i = 1; i < this.tempos.length && this.tempos[i].ticks <= ticks; i++) {
+            segment = this.tempos[i];
+        }
+        return segment;
+    }
+
+    getTempoAt(ticks) {
+        return this.getSegmentAtTicks(ticks).bpm;
+    }
+
+    ticksToSeconds(ticks) {
+        const segment = this.getSegmentAtTicks(ticks);
+        return segment.seconds + this.ticksToSecondsAtTempo(ticks - segment.ticks, segment.bpm);
+    }
+
+    secondsToTicks(seconds) {
+        let segment = this.tempos[0];
+        for (let i = 1; i < this.tempos.length && this.tempos[i].seconds <= seconds; i++) {
+            segment = this.tempos[i];
+        }
+        return segment.ticks + (seconds - segment.seconds) * segment.bpm / 60 * this.ticksPerQuarter;
+    }
+
+    /**
+     * Tempo changes strictly inside (startTicks, endTicks)
+     */
+    getChangesInRange(startTicks, endTicks) {
+        return this.tempos.filter(tempo => tempo.ticks > startTicks && tempo.ticks < endTicks);
+    }
+
+    hasChangesInRange(startTicks, endTicks) {
+        return this.getChangesInRange(startTicks, endTicks).length > 0;
+    }
+
+    isConstant() {
+        return this.tempos.length === 1;
+    }
+
+    toJSON() {
+        return this.tempos.map(({ ticks, bpm }) => ({ ticks, bpm }));
+    }
+}
@@ -0,0 +1,56 @@
+import { TempoMap, DEFAULT_TEMPO_BPM, formatSeconds } from './tempo-map.js';
+
+const PPQ = 480;
+
+describe('TempoMap', () => {
+    test('plays at 120 BPM until the first tempo event', () => {
+        const tempoMap = new TempoMap([{ ticks: 960, bpm: 60 }], PPQ);
+        expect(tempoMap.getTempoAt(0)).toBe(DEFAULT_TEMPO_BPM);
+        expect(tempoMap.ticksToSeconds(960)).toBeCloseTo(1);
+        expect(tempoMap.getTempoAt(960)).toBe(60);
+    });
+
+    test('converts ticks to seconds across tempo changes', () => {
+        // Two beats at 120 BPM (1 s), then 60 BPM (1 s per beat)
+        const tempoMap = new TempoMap([{ ticks: 0, bpm: 120 }, { ticks: 960, bpm: 60 }], PPQ);
+        expect(tempoMap.ticksToSeconds(480)).toBeCloseTo(0.5);
+        expect(tempoMap.ticksToSeconds(960)).toBeCloseTo(1);
+        expect(tempoMap.ticksToSeconds(1440)).toBeCloseTo(2);
+        expect(tempoMap.ticksToSeconds(2400)).toBeCloseTo(4);
+    });
+
+    test('converts seconds back to the same ticks', () => {
+        const tempoMap = new TempoMap([{ ticks: 0, bpm: 90 }, { ticks: 1000, bpm: 150 }, { ticks: 3000, bpm: 75 }], PPQ);
+        [0, 480, 999, 1000, 1700, 3000, 5000].forEach(ticks => {
+            expect(tempoMap.secondsToTicks(tempoMap.ticksToSeconds(ticks))).toBeCloseTo(ticks);
+        });
+    });
+
+    test('sorts tempos, lets later events at a tick win and drops repeats', () => {
+        const tempoMap = new TempoMap([
+            { ticks: 960, bpm: 100 },
+            { ticks: 0, bpm: 120 },
+            { ticks: 960, bpm: 90 },
+            { ticks: 1920, bpm: 90 },
+            { ticks: 480, bpm: 0 }
+        ], PPQ);
+        expect(tempoMap.tempos.map(({ ticks, bpm }) => [ticks, bpm])).toEqual([[0, 120], [960, 90]]);
+    });
+
+    test('reports tempo changes strictly inside a range', () => {
+        const tempoMap = new TempoMap([{ ticks: 0, bpm: 120 }, { ticks: 960, bpm: 100 }], PPQ);
+        expect(tempoMap.hasChangesInRange(0, 1920)).toBe(true);
+        expect(tempoMap.hasChangesInRange(960, 1920)).toBe(false);
+        expect(tempoMap.isConstant()).toBe(false);
+        expect(TempoMap.constant(95, PPQ).isConstant()).toBe(true);
+    });
+});
+
+describe('formatSeconds', () => {
+    test('formats as m:ss.s', () => {
+        expect(formatSeconds(0)).toBe('0:00.0');
+        expect(formatSeconds(75.25)).toBe('1:15.3');
+        expect(formatSeconds(9, 0)).toBe('0:09');
+        expect(formatSeconds(-3)).toBe('0:00.0');
+    });
+});
@@ -0,0 +1,304 @@
+/**
+ * Time Signature Map
+ * Converts between MIDI ticks and bar:beat:tick positions across meter changes
+ */
+
+export const DEFAULT_TIME_SIGNATURE = [4, 4];
+
+// Selection snap modes; note-length grids are measured in quarter notes from each bar line
+export const SNAP_MODES = [
+    { id: 'off', label: 'Off' },
+    { id: 'bar', label: 'Bar' },
+    { id: 'beat', label: 'Beat' },
+    { id: '1/8', label: '1/8', quarters: 1 / 2 },
+    { id: '1/16', label: '1/16', quarters: 1 / 4 }
+];
+
+export const DEFAULT_SNAP_MODE = 'beat';
+
+export class TimeSignatureMap {
+    /**
+     * signatures: [{ ticks, numerator, denominator }] in any order.
+     * A 4/4 signature at tick 0 is added when missing.
+     */
+    constructor(signatures = [], ticksPerQuarter = 480) {
+        this.ticksPerQuarter = ticksPerQuarter || 480;
+
+        const sorted = signatures
+            .filter(signature => signature && signature.numerator > 0 && signature.denominator > 0 && signature.ticks >= 0)
+            .map(({ ticks, numerator, denominator }) => ({ ticks, numerator, denominator }))
+            .sort((a, b) => a.ticks - b.ticks);
+
+        // Later events at the same tick replace earlier ones
+        const signatureList = [];
+        sorted.forEach(signature => {
+            const last = signatureList[signatureList.length - 1];
+            if (last && last.ticks === signature.ticks) {
+                last.numerator = signature.numerator;
+                last.denominator = signature.denominator;
+            } else if (!last || last.numerator !== signature.numerator || last.denominator !== signature.denominator) {
+                signatureList.push(signature);
+            }
+        });
+
+        if (signatureList.length === 0 || signatureList[0].ticks > 0) {
+            const [numerator, denominator] = DEFAULT_TIME_SIGNATURE;
+            signatureList.unshift({ ticks: 0, numerator, denominator });
+        }
+
+        // Precompute the (0-based) bar index each signature starts on.
+        // A change in the middle of a bar starts a new bar.
+        this.signatures = [];
+        signatureList.forEach((signature, index) => {
+            let bar = 0;
+            if (index > 0) {
+                const previous = this.signatures[index - 1];
+                bar = previous.bar + Math.ceil((signature.ticks - previous.ticks) / previous.ticksPerBar - 1e-9);
+            }
+            const ticksPerBeat = this.ticksPerQuarter * 4 / signature.denominator;
+            this.signatures.push({
+                ...signature,
+                bar,
+                ticksPerBeat,
+                ticksPerBar: ticksPerBeat * signature.numerator
+            });
+        });
+    }
+
+    /**
+     * Build a map holding a single time signature
+     */
+    static constant(timeSignature = DEFAULT_TIME_SIGNATURE, ticksPerQuarter = 480) {
+        const [numerator, denominator] = timeSignature;
+        return new TimeSignatureMap([{ ticks: 0, numerator, denominator }], ticksPerQuarter);
+    }
+
+    // Signature segment active at the given tick
+    getSegmentAtTicks(ticks) {
+        let segment = this.signatures[0];
+        for (let i = 1; i < this.signatures.length && this.signatures[i].ticks <= ticks; i++) {
+            segment = this.signatures[i];
+        }
+        return segment;
+    }
+
+    // Signature segment containing the given 0-based bar index
+    getSegmentAtBar(bar) {
+        let segment = this.signatures[0];
+        for (let i = 1; i < this.signatures.length && this.signatures[i].bar <= bar; i++) {
+            segment = this.signatures[i];
+        }
+        return segment;
+    }
+
+    getSignatureAt(ticks) {
+        const { numerator, denominator } = this.getSegmentAtTicks(ticks);
+        return [numerator, denominator];
+    }
+
+    getTicksPerBar(ticks = 0) {
+        return this.getSegmentAtTicks(ticks).ticksPerBar;
+    }
+
+    getTicksPerBeat(ticks = 0) {
+        return this.getSegmentAtTicks(ticks).ticksPerBeat;
+    }
+
+    /**
+     * Tick of the start of a 0-based bar index
+     */
+    getBarTick(bar) {
+        const segment = this.getSegmentAtBar(bar);
+        return segment.ticks + (bar - segment.bar) * segment.ticksPerBar;
+    }
+
+    /**
+     * 0-based index of the bar containing the given tick
+     */
+    getBarIndex(ticks) {
+        const segment = this.getSegmentAtTicks(ticks);
+        return segment.bar + Math.floor((ticks - segment.ticks) / segment.ticksPerBar);
+    }
+
+    // Start tick of the bar containing the given tick
+    getBarStartTick(ticks) {
+        return this.getBarTick(this.getBarIndex(ticks));
+    }
+
+    /**
+     * Convert a tick to a 1-based { bar, beat, tick } position
+     */
+    ticksToBarBeat(ticks) {
+        const barIndex = this.getBarIndex(ticks);
+        const barStart = this.getBarTick(barIndex);
+        const { ticksPerBeat } = this.getSegmentAtTicks(ticks);
+        const offset = ticks - barStart;
+        const beat = Math.floor(offset / ticksPerBeat);
+
+        return {
+            bar: barIndex + 1,
+            beat: beat + 1,
+            tick: Math.round(offset - beat * ticksPerBeat)
+        };
+    }
+
+    /**
+     * Convert a 1-based bar, beat and tick offset to MIDI ticks
+     */
+    barBeatToTicks(bar, beat = 1, tick = 0) {
+        const barStart = this.getBarTick(bar - 1);
+        const { ticksPerBeat } = this.getSegmentAtTicks(barStart);
+        return barStart + (beat - 1) * ticksPerBeat + tick;
+    }
+
+    /**
+     * Format a tick as bar:beat:tick
+     */
+    formatBarBeat(ticks) {
+        const { bar, beat, tick } = this.ticksToBarBeat(ticks);
+        return `${bar}:${beat}:${String(tick).padStart(3, '0')}`;
+    }
+
+    /**
+     * Parse "bar:beat" or "bar:beat:tick" (1-based bar and beat) to MIDI ticks.
+     * Returns null when the text is malformed or the beat/tick is outside the bar.
+     */
+    parseBarBeat(text) {
+        const match = /^\s*(\d+)\s*:\s*(\d+)\s*(?::\s*(\d+)\s*)?$/.exec(String(text));
+        if (!match) {
+            return null;
+        }
+
+        const bar = Number.parseInt(match[1], 10);
+        const beat = Number.parseInt(match[2], 10);
+        const tick = match[3] !== undefined ? Number.parseInt(match[3], 10) : 0;
+        if (bar < 1 || beat < 1) {
+            return null;
+        }
+
+        const { numerator, ticksPerBeat } = this.getSegmentAtBar(bar - 1);
+        if (beat > numerator || tick >= ticksPerBeat) {
+            return null;
+        }
+
+        return this.barBeatToTicks(bar, beat, tick);
+    }
+
+    /**
+     * Bar lines in [startTicks, endTicks] as { ticks, bar } with 1-based bar numbers
+     */
+    getBarLines(startTicks, endTicks) {
+        const lines = [];
+        for (let bar = this.getBarIndex(startTicks); ; bar++) {
+            const ticks = this.getBarTick(bar);
+            if (ticks > endTicks) {
+                break;
+            }
+            if (ticks >= startTicks) {
+                lines.push({ ticks, bar: bar + 1 });
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Beat lines (excluding downbeats) in [startTicks, endTicks] as { ticks, bar, beat }
+     */
+    getBeatLines(startTicks, endTicks) {
+        const lines = [];
+        for (let bar = this.getBarIndex(startTicks); ; bar++) {
+            const barStart = this.getBarTick(bar);
+            if (barStart > endTicks) {
+                break;
+            }
+            const { numerator, ticksPerBeat } = this.getSegmentAtTicks(barStart);
+            for (let beat = 1; beat < numerator; beat++) {
+                const ticks = barStart + beat * ticksPerBeat;
+                if (ticks >= startTicks && ticks <= endTicks) {
+                    lines.push({ ticks, bar: bar + 1, beat: beat + 1 });
+                }
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Snap a tick to the nearest bar line, beat or note-length grid line.
+     * Grids restart at every bar line so they stay aligned across meter changes.
+     */
+    snapTicks(ticks, modeId) {
+        const mode = SNAP_MODES.find(candidate => candidate.id === modeId);
+        if (!mode || mode.id === 'off') {
+            return ticks;
+        }
+
+        const barIndex = this.getBarIndex(ticks);
+        const barStart = this.getBarTick(barIndex);
+        const nextBarStart = this.getBarTick(barIndex + 1);
+
+        let snapped;
+        if (mode.id === 'bar') {
+            snapped = ticks - barStart < nextBarStart - ticks ? barStart : nextBarStart;
+        } else {
+            const step = mode.id === 'beat'
+                ? this.getTicksPerBeat(barStart)
+                : this.ticksPerQuarter * mode.quarters;
+            snapped = Math.min(barStart + Math.round((ticks - barStart) / step) * step, nextBarStart);
+        }
+
+        return Math.max(0, snapped);
+    }
+
+    /**
+     * Length of one grid step at a tick: a bar, a beat or a note length.
+     * With snapping off the step is a 1/16 note.
+     */
+    getGridStep(ticks, modeId) {
+        const mode = SNAP_MODES.find(candidate => candidate.id === modeId);
+        if (!mode || mode.id === 'off') {
+            return this.ticksPerQuarter / 4;
+        }
+        if (mode.id === 'bar') {
+            return this.getTicksPerBar(ticks);
+        }
+        if (mode.id === 'beat') {
+            return this.getTicksPerBeat(ticks);
+        }
+        return this.ticksPerQuarter * mode.quarters;
+    }
+
+    /**
+     * Move a tick to the next grid line in the given direction (1 or -1).
+     * With snapping off the step is a 1/16 note.
+     */
+    nudgeTicks(ticks, direction, modeId) {
+        const mode = SNAP_MODES.find(candidate => candidate.id === modeId);
+        if (!mode || mode.id === 'off') {
+            return Math.max(0, ticks + direction * this.ticksPerQuarter / 4);
+        }
+
+        // An off-grid tick first moves to the neighbouring grid line
+        const snapped = this.snapTicks(ticks, modeId);
+        if (direction > 0 ? snapped > ticks : snapped < ticks) {
+            return snapped;
+        }
+
+        if (mode.id === 'bar') {
+            return Math.max(0, this.getBarTick(this.getBarIndex(snapped) + direction));
+        }
+
+        // Moving backwards the step comes from the beat before, which may be in another meter
+        const step = mode.id === 'beat'
+            ? this.getTicksPerBeat(direction > 0 ? snapped : snapped - 1)
+            : this.ticksPerQuarter * mode.quarters;
+        return this.snapTicks(snapped + direction * step, modeId);
+    }
+
+    isConstant() {
+        return this.signatures.length === 1;
+    }
+
+    toJSON() {
+        return this.signatures.map(({ ticks, numerator, denominator }) => ({ ticks, numerator, denominator }));
+    }
+}
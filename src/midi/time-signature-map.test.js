@@ -0,0 +1,80 @@
+import { TimeSignatureMap } from './time-signature-map.js';
+
+const PPQ = 480;
+
+// Two bars of 4/4, two bars of 3/4, then 6/8
+const signatures = () => new TimeSignatureMap([
+    { ticks: 0, numerator: 4, denominator: 4 },
+    { ticks: 3840, numerator: 3, denominator: 4 },
+    { ticks: 6720, numerator: 6, denominator: 8 }
+], PPQ);
+
+describe('TimeSignatureMap', () => {
+    test('defaults to 4/4 from the start', () => {
+        const map = new TimeSignatureMap([{ ticks: 1920, numerator: 3, denominator: 4 }], PPQ);
+        expect(map.getSignatureAt(0)).toEqual([4, 4]);
+        expect(map.getSignatureAt(1920)).toEqual([3, 4]);
+    });
+
+    test('finds bar starts across meter changes', () => {
+        const map = signatures();
+        expect([0, 1, 2, 3, 4, 5].map(bar => map.getBarTick(bar))).toEqual([0, 1920, 3840, 5280, 6720, 8160]);
+        expect(map.getBarIndex(5279)).toBe(2);
+        expect(map.getBarIndex(5280)).toBe(3);
+        expect(map.getBarStartTick(7000)).toBe(6720);
+    });
+
+    test('starts a new bar when the meter changes in the middle of a bar', () => {
+        const map = new TimeSignatureMap([{ ticks: 0, numerator: 4, denominator: 4 }, { ticks: 960, numerator: 3, denominator: 4 }], PPQ);
+        expect(map.getBarTick(1)).toBe(960);
+        expect(map.ticksToBarBeat(960)).toEqual({ bar: 2, beat: 1, tick: 0 });
+    });
+
+    test('converts between ticks and bar:beat:tick', () => {
+        const map = signatures();
+        expect(map.ticksToBarBeat(4320 + 100)).toEqual({ bar: 3, beat: 2, tick: 100 });
+        // Beats in 6/8 are eighth notes
+        expect(map.ticksToBarBeat(6720 + 240 * 5)).toEqual({ bar: 5, beat: 6, tick: 0 });
+        expect(map.barBeatToTicks(5, 6)).toBe(6720 + 1200);
+        expect(map.formatBarBeat(4420)).toBe('3:2:100');
+    });
+
+    test('parses bar:beat positions and rejects ones outside the bar', () => {
+        const map = signatures();
+        expect(map.parseBarBeat('3:2:100')).toBe(4420);
+        expect(map.parseBarBeat(' 4:3 ')).toBe(5280 + 960);
+        expect(map.parseBarBeat('3:4')).toBeNull();
+        expect(map.parseBarBeat('5:1:240')).toBeNull();
+        expect(map.parseBarBeat('0:1')).toBeNull();
+        expect(map.parseBarBeat('bar 2')).toBeNull();
+    });
+
+    test('lists bar and beat lines in a range', () => {
+        const map = signatures();
+        expect(map.getBarLines(3000, 6720)).toEqual([
+            { ticks: 3840, bar: 3 },
+            { ticks: 5280, bar: 4 },
+            { ticks: 6720, bar: 5 }
+        ]);
+        expect(map.getBeatLines(3840, 5280).map(line => line.ticks)).toEqual([4320, 4800]);
+    });
+
+    test('snaps to bars, beats and note grids that restart at each bar line', () => {
+        const map = signatures();
+        expect(map.snapTicks(4500, 'bar')).toBe(3840);
+        expect(map.snapTicks(4700, 'bar')).toBe(5280);
+        expect(map.snapTicks(4500, 'beat')).toBe(4320);
+        expect(map.snapTicks(6720 + 130, '1/16')).toBe(6720 + 120);
+        expect(map.snapTicks(123, 'off')).toBe(123);
+    });
+
+    test('nudges by one grid step, moving off-grid ticks to the next line first', () => {
+        const map = signatures();
+        expect(map.nudgeTicks(3840, 1, 'beat')).toBe(4320);
+        expect(map.nudgeTicks(4000, 1, 'beat')).toBe(4320);
+        // Back from the 3/4 downbeat into the last beat of the 4/4 bar
+        expect(map.nudgeTicks(3840, -1, 'beat')).toBe(3360);
+        expect(map.nudgeTicks(3840, -1, 'bar')).toBe(1920);
+        expect(map.nudgeTicks(0, -1, 'off')).toBe(0);
+    });
+});
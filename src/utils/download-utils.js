@@ -0,0 +1,18 @@
+/**
+ * Download Utilities
+ * Triggers browser downloads for generated files
+ */
+
+// The download starts after click() returns, so the blob URL has to outlive it
+const REVOKE_DELAY_MS = 40000;
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
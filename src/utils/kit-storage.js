@@ -0,0 +1,64 @@
+/**
+ * Kit Storage
+ * Keeps pad kits (sample files and pad notes) in the browser's IndexedDB so
+ * they can be reused later; nothing leaves the computer
+ */
+
+const DB_NAME = 'medianmpc';
+const DB_VERSION = 1;
+const KIT_STORE = 'padKits';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('This browser cannot store kits (IndexedDB is unavailable)'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(KIT_STORE)) {
+            request.result.createObjectStore(KIT_STORE, { keyPath: 'name' });
+        }
+    };
+    return requestToPromise(request);
+};
+
+const withStore = async (mode, action) => {
+    const db = await openDatabase();
+    try {
+        const store = db.transaction(KIT_STORE, mode).objectStore(KIT_STORE);
+        return await requestToPromise(action(store));
+    } finally {
+        db.close();
+    }
+};
+
+export class KitStorage {
+    /**
+     * Names of the saved kits, sorted
+     */
+    static async listKits() {
+        const names = await withStore('readonly', store => store.getAllKeys());
+        return names.map(String).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Save a kit: { name, pads: [{ note, fileName, data: ArrayBuffer | null }] }.
+     * A kit with the same name is replaced.
+     */
+    static saveKit(kit) {
+        return withStore('readwrite', store => store.put({ ...kit, savedAt: new Date().toISOString() }));
+    }
+
+    static loadKit(name) {
+        return withStore('readonly', store => store.get(name));
+    }
+
+    static deleteKit(name) {
+        return withStore('readwrite', store => store.delete(name));
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Session File
+ * Saves and reopens a conversion session: the original file bytes plus
+ * each track's selection, export settings, view and note edits
+ */
+
+const SESSION_EXTENSION = '.mpcsession';
+const SESSION_FORMAT = 'medianmpc-session';
+const SESSION_VERSION = 1;
+
+// btoa/atob work on binary strings; convert in chunks to stay under argument limits
+const BASE64_CHUNK_SIZE = 0x8000;
+
+const encodeBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + BASE64_CHUNK_SIZE));
+    }
+    return btoa(binary);
+};
+
+const decodeBase64 = (text) => {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+export class SessionFile {
+    /**
+     * Check whether a file name refers to a saved session
+     */
+    static isSessionFile(filename) {
+        return typeof filename === 'string' && filename.toLowerCase().endsWith(SESSION_EXTENSION);
+    }
+
+    /**
+     * Build a downloadable session file.
+     *
+     * source: { name, type: 'midi' | 'mpcpattern', data: ArrayBuffer } as originally loaded
+     * tracks: [{ midiTrackIndex, ...track state }] from TrackComponent.getSessionState
+     */
+    static createSessionFile(source, tracks) {
+        const session = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            source: {
+                name: source.name,
+                type: source.type,
+                data: encodeBase64(source.data)
+            },
+            tracks
+        };
+
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        const baseName = source.name
+            ? source.name.split('/').pop().split('.')[0]
+            : 'midi_file';
+        const filename = `${baseName}${SESSION_EXTENSION}`;
+
+        return { blob, filename };
+    }
+
+    /**
+     * Parse a session file from an ArrayBuffer (as delivered by FileWidget)
+     */
+    static fromBuffer(buffer) {
+        const text = new TextDecoder('utf-8').decode(new Uint8Array(buffer));
+        return SessionFile.parse(text);
+    }
+
+    /**
+     * Parse session JSON text. Returns { source: { name, type, data: ArrayBuffer }, tracks }
+     * where tracks is keyed by MIDI track index.
+     */
+    static parse(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid session file: ${error.message}`);
+        }
+
+        if (!json || json.format !== SESSION_FORMAT || !json.source || typeof json.source.data !== 'string') {
+            throw new Error('Invalid session file: missing source file');
+        }
+        if (json.version > SESSION_VERSION) {
+            throw new Error(`Session file version ${json.version} is newer than this app supports`);
+        }
+
+        let data;
+        try {
+            data = decodeBase64(json.source.data);
+        } catch (error) {
+            throw new Error(`Invalid session file: ${error.message}`);
+        }
+
+        const tracks = {};
+        (Array.isArray(json.tracks) ? json.tracks : []).forEach(track => {
+            if (track && Number.isInteger(track.midiTrackIndex)) {
+                tracks[track.midiTrackIndex] = track;
+            }
+        });
+
+        return {
+            source: {
+                name: json.source.name || 'midi_file',
+                type: json.source.type === 'mpcpattern' ? 'mpcpattern' : 'midi',
+                data
+            },
+            tracks
+        };
+    }
+}
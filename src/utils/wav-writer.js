@@ -0,0 +1,87 @@
+/**
+ * WAV Writer Module
+ * Encodes floating point audio as 16 or 24-bit PCM WAV files in the browser
+ */
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Scale channels in place so the loudest sample peaks at peakDb (dBFS).
+ * Silent audio is left alone.
+ */
+export function normalizeChannels(channels, peakDb = 0) {
+    let peak = 0;
+    channels.forEach(channel => {
+        for (let i = 0; i < channel.length; i++) {
+            peak = Math.max(peak, Math.abs(channel[i]));
+        }
+    });
+    if (peak === 0) {
+        return channels;
+    }
+
+    const gain = Math.pow(10, peakDb / 20) / peak;
+    channels.forEach(channel => {
+        for (let i = 0; i < channel.length; i++) {
+            channel[i] *= gain;
+        }
+    });
+    return channels;
+}
+
+/**
+ * Create a WAV file from channels of equal length (Float32Array, -1..1).
+ * Samples outside that range are clipped.
+ */
+export function writeWav(channels, sampleRate, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const channelCount = channels.length;
+    const frameCount = channelCount > 0 ? channels[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channelCount * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+
+    const output = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(output);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                          // fmt chunk size
+    view.setUint16(20, 1, true);                           // Format: PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);     // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const maxValue = Math.pow(2, bitDepth - 1);
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+            const value = Math.max(-maxValue, Math.min(maxValue - 1, Math.round(sample * maxValue)));
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return output;
+}
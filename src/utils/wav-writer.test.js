@@ -0,0 +1,66 @@
+import { writeWav, normalizeChannels } from './wav-writer.js';
+
+const readFourCC = (view, offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+);
+
+const readInt24 = (view, offset) => {
+    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return value & 0x800000 ? value - 0x1000000 : value;
+};
+
+describe('writeWav', () => {
+    test('writes a PCM header for the channels, rate and bit depth', () => {
+        const view = new DataView(writeWav([new Float32Array(3), new Float32Array(3)], 48000, 24));
+        expect(readFourCC(view, 0)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+        expect(readFourCC(view, 8)).toBe('WAVE');
+        expect(readFourCC(view, 12)).toBe('fmt ');
+        expect(view.getUint16(20, true)).toBe(1);
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(24, true)).toBe(48000);
+        expect(view.getUint32(28, true)).toBe(48000 * 6);
+        expect(view.getUint16(32, true)).toBe(6);
+        expect(view.getUint16(34, true)).toBe(24);
+        expect(readFourCC(view, 36)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(18);
+        expect(view.byteLength).toBe(44 + 18);
+    });
+
+    test('interleaves 16-bit samples and clips out-of-range values', () => {
+        const left = new Float32Array([0.5, 1.5, -1]);
+        const right = new Float32Array([-0.5, -2, 1]);
+        const view = new DataView(writeWav([left, right], 44100, 16));
+        const samples = Array.from({ length: 6 }, (_, index) => view.getInt16(44 + index * 2, true));
+        expect(samples).toEqual([16384, -16384, 32767, -32768, -32768, 32767]);
+    });
+
+    test('packs 24-bit samples as little-endian three-byte values', () => {
+        const view = new DataView(writeWav([new Float32Array([0.5, -0.5, 1, -1, 1 / 8388608])], 44100, 24));
+        const samples = Array.from({ length: 5 }, (_, index) => readInt24(view, 44 + index * 3));
+        expect(samples).toEqual([4194304, -4194304, 8388607, -8388608, 1]);
+        expect([view.getUint8(44), view.getUint8(45), view.getUint8(46)]).toEqual([0x00, 0x00, 0x40]);
+    });
+
+    test('rejects unsupported bit depths', () => {
+        expect(() => writeWav([new Float32Array(1)], 44100, 8)).toThrow('Unsupported WAV bit depth: 8');
+    });
+});
+
+describe('normalizeChannels', () => {
+    test('scales every channel so the loudest sample reaches the peak level', () => {
+        const channels = [new Float32Array([0.25, -0.1]), new Float32Array([0, -0.5])];
+        normalizeChannels(channels, 0);
+        expect(channels[0][0]).toBeCloseTo(0.5);
+        expect(channels[1][1]).toBeCloseTo(-1);
+
+        normalizeChannels(channels, -6);
+        expect(Math.abs(channels[1][1])).toBeCloseTo(Math.pow(10, -6 / 20));
+    });
+
+    test('leaves silence alone', () => {
+        const channels = [new Float32Array(4)];
+        normalizeChannels(channels, 0);
+        expect([...channels[0]]).toEqual([0, 0, 0, 0]);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * ZIP Writer Module
+ * Builds uncompressed (stored) ZIP archives in the browser
+ */
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Create a ZIP archive from a list of { name, data } entries.
+ * data may be a string (written as UTF-8), Uint8Array or ArrayBuffer.
+ */
+export function writeZip(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosDateTime(date);
+
+    const files = entries.map(entry => {
+        let data = entry.data;
+        if (typeof data === 'string') {
+            data = encoder.encode(data);
+        } else if (data instanceof ArrayBuffer) {
+            data = new Uint8Array(data);
+        }
+
+        return {
+            nameBytes: encoder.encode(entry.name),
+            data,
+            crc: crc32(data)
+        };
+    });
+
+    // Calculate total archive size
+    let localSize = 0;
+    let centralSize = 0;
+    files.forEach(file => {
+        localSize += 30 + file.nameBytes.length + file.data.length;
+        centralSize += 46 + file.nameBytes.length;
+    });
+
+    const output = new ArrayBuffer(localSize + centralSize + 22);
+    const view = new DataView(output);
+    const bytes = new Uint8Array(output);
+    let offset = 0;
+
+    // Write local file headers and data
+    files.forEach(file => {
+        file.offset = offset;
+
+        view.setUint32(offset, 0x04034B50, true);      // Local file header signature
+        view.setUint16(offset + 4, 20, true);          // Version needed to extract
+        view.setUint16(offset + 6, 0x0800, true);      // Flags: UTF-8 file names
+        view.setUint16(offset + 8, 0, true);           // Compression: stored
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, day, true);
+        view.setUint32(offset + 14, file.crc, true);
+        view.setUint32(offset + 18, file.data.length, true);   // Compressed size
+        view.setUint32(offset + 22, file.data.length, true);   // Uncompressed size
+        view.setUint16(offset + 26, file.nameBytes.length, true);
+        view.setUint16(offset + 28, 0, true);          // Extra field length
+        offset += 30;
+
+        bytes.set(file.nameBytes, offset);
+        offset += file.nameBytes.length;
+        bytes.set(file.data, offset);
+        offset += file.data.length;
+    });
+
+    // Write central directory
+    const centralOffset = offset;
+    files.forEach(file => {
+        view.setUint32(offset, 0x02014B50, true);      // Central directory signature
+        view.setUint16(offset + 4, 20, true);          // Version made by
+        view.setUint16(offset + 6, 20, true);          // Version needed to extract
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, day, true);
+        view.setUint32(offset + 16, file.crc, true);
+        view.setUint32(offset + 20, file.data.length, true);
+        view.setUint32(offset + 24, file.data.length, true);
+        view.setUint16(offset + 28, file.nameBytes.length, true);
+        view.setUint16(offset + 30, 0, true);          // Extra field length
+        view.setUint16(offset + 32, 0, true);          // Comment length
+        view.setUint16(offset + 34, 0, true);          // Disk number
+        view.setUint16(offset + 36, 0, true);          // Internal attributes
+        view.setUint32(offset + 38, 0, true);          // External attributes
+        view.setUint32(offset + 42, file.offset, true);
+        offset += 46;
+
+        bytes.set(file.nameBytes, offset);
+        offset += file.nameBytes.length;
+    });
+
+    // Write end of central directory record
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, files.length, true);
+    view.setUint16(offset + 10, files.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    view.setUint16(offset + 20, 0, true);              // Comment length
+
+    return output;
+}
@@ -0,0 +1,73 @@
+import { writeZip } from './zip-writer.js';
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+
+const decodeName = (bytes, offset, length) => new TextDecoder().decode(bytes.subarray(offset, offset + length));
+
+/**
+ * Read the archive back through its central directory, the way unzip tools do
+ */
+const readZip = (buffer) => {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const endOffset = buffer.byteLength - 22;
+    expect(view.getUint32(endOffset, true)).toBe(END_OF_CENTRAL_DIRECTORY);
+
+    const count = view.getUint16(endOffset + 10, true);
+    const centralSize = view.getUint32(endOffset + 12, true);
+    const centralOffset = view.getUint32(endOffset + 16, true);
+    expect(centralOffset + centralSize).toBe(endOffset);
+
+    const entries = [];
+    let offset = centralOffset;
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(offset, true)).toBe(CENTRAL_HEADER);
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decodeName(bytes, offset + 46, nameLength);
+
+        expect(view.getUint32(localOffset, true)).toBe(LOCAL_HEADER);
+        expect(view.getUint32(localOffset + 14, true)).toBe(crc);
+        expect(view.getUint32(localOffset + 18, true)).toBe(size);
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        expect(decodeName(bytes, localOffset + 30, localNameLength)).toBe(name);
+
+        const dataStart = localOffset + 30 + localNameLength;
+        entries.push({ name, crc, data: bytes.slice(dataStart, dataStart + size) });
+        offset += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe('writeZip', () => {
+    test('stores entries with their CRC-32, sizes and offsets', () => {
+        const entries = readZip(writeZip([
+            { name: 'check.txt', data: '123456789' },
+            { name: 'bytes.bin', data: new Uint8Array([1, 2, 3]) },
+            { name: 'buffer.bin', data: new Uint8Array([255]).buffer }
+        ]));
+
+        expect(entries.map(entry => entry.name)).toEqual(['check.txt', 'bytes.bin', 'buffer.bin']);
+        // Standard CRC-32 check value
+        expect(entries[0].crc).toBe(0xCBF43926);
+        expect(new TextDecoder().decode(entries[0].data)).toBe('123456789');
+        expect([...entries[1].data]).toEqual([1, 2, 3]);
+        expect([...entries[2].data]).toEqual([255]);
+    });
+
+    test('writes file names as UTF-8', () => {
+        const [entry] = readZip(writeZip([{ name: 'Drums – Fill.mpcpattern', data: '' }]));
+        expect(entry.name).toBe('Drums – Fill.mpcpattern');
+        expect(entry.crc).toBe(0);
+    });
+
+    test('writes an empty archive', () => {
+        const buffer = writeZip([]);
+        expect(buffer.byteLength).toBe(22);
+        expect(readZip(buffer)).toEqual([]);
+    });
+});